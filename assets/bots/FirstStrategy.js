@@ -0,0 +1,20 @@
+const Strategy = require("./Strategy");
+
+/**
+ * A bot which always plays the first free column (or pops the first square it can, on a full board of PopOut).
+ */
+module.exports = class FirstStrategy extends Strategy {
+
+	/**
+	 * Choose the move of the bot.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {number} room - the id of the room.
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents, in the order of their turns.
+	 * @returns {number} - the move to play (the column from 0, or a pop, see Position).
+	 */
+	chooseMove(board, me, room, opponents) {
+		return board.getMoves(me)[0];
+	}
+}
\ No newline at end of file
@@ -0,0 +1,63 @@
+const Strategy = require("./Strategy");
+const Search = require("../model/Search");
+
+const MAX_DEPTH = 12;
+// The paranoid search prunes less (the opponents play in a row), so it's limited to this depth.
+const MAX_PARANOID_DEPTH = 6;
+
+/**
+ * A bot which searches a few moves ahead with the minimax (the paranoid search
+ * in a game of more than two players), and sometimes plays a random move instead.
+ */
+module.exports = class MinimaxStrategy extends Strategy {
+
+	/**
+	 * Initialize the bot.
+	 * 
+	 * @param {Object} options - the bot (see Strategy) and its search ({depth: the moves searched ahead,
+	 * randomness: the probability to play a random move, 0 by default, weights: the weights of the evaluation, see Search}).
+	 * @throws {Error} - if the options are invalid.
+	 */
+	constructor(options) {
+		super(options);
+		this._depth = options.depth;
+		this._randomness = (options.randomness === undefined)? 0 : options.randomness;
+		this._weights = options.weights || {};
+
+		if (!Number.isInteger(this._depth) || this._depth < 1 || this._depth > MAX_DEPTH)
+			throw new Error(`The depth of the bot \`${this.name}\` must be between 1 and ${MAX_DEPTH}.`);
+		if (typeof this._randomness !== "number" || this._randomness < 0 || this._randomness > 1)
+			throw new Error(`The randomness of the bot \`${this.name}\` must be between 0 and 1.`);
+		Search.validate(this._weights);
+	}
+
+	/**
+	 * Get the strength of the bot.
+	 * 
+	 * @returns {number} - the depth of its search.
+	 */
+	get strength() {
+		return this._depth;
+	}
+
+	/**
+	 * Choose the move of the bot.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {number} room - the id of the room.
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents, in the order of their turns.
+	 * @returns {number} - the move to play (the column from 0, or a pop, see Position).
+	 */
+	chooseMove(board, me, room, opponents) {
+		if (this._randomness > 0 && Math.random() < this._randomness) {
+			const moves = board.getMoves(me);
+			return moves[Math.floor(Math.random() * moves.length)];
+		}
+
+		const search = new Search(me, opponents[0], this._weights, opponents.slice(1));
+		if (opponents.length > 1)
+			return search.paranoid(board.toPosition(), Math.min(this._depth, MAX_PARANOID_DEPTH), -Infinity, Infinity, 0, true);
+		return search.minimax(board.toPosition(), this._depth, -Infinity, Infinity, true, true);
+	}
+}
\ No newline at end of file
@@ -0,0 +1,137 @@
+const fs = require("fs");
+
+/**
+ * The best replies to the first moves of a game, searched offline (see
+ * bench/book.js) so the bots don't search them again. The moves are written
+ * in column notation (e.g. "4453"); a game and its mirror have the same
+ * replies, so only one of them is kept. The replies are the best ones of a
+ * search limited in time, not of a solved game, so the book is heuristic.
+ */
+module.exports = class OpeningBook {
+
+	/**
+	 * Initialize an empty book.
+	 * 
+	 * @param {Object} options - the board of the book ({rows, cols, connect}).
+	 * @param {number} depth - the number of moves of the games of the book.
+	 */
+	constructor(options, depth) {
+		this._rows = options.rows;
+		this._cols = options.cols;
+		this._connect = options.connect;
+		this._depth = depth;
+		// moves => [heuristic score of the best replies, best replies (the columns from 1)...].
+		this._entries = {};
+	}
+
+	/**
+	 * Get the number of moves of the games of the book.
+	 * 
+	 * @returns {number} - the depth.
+	 */
+	get depth() {
+		return this._depth;
+	}
+
+	/**
+	 * Get the number of games of the book.
+	 * 
+	 * @returns {number} - the number of games (without their mirrors).
+	 */
+	get size() {
+		return Object.keys(this._entries).length;
+	}
+
+	/**
+	 * The moves are the canonical game of their mirror (the one kept).
+	 * 
+	 * @param {string} moves - the moves in column notation.
+	 * @returns {boolean} - true if canonical.
+	 */
+	isCanonical(moves) {
+		return moves <= this._mirror(moves);
+	}
+
+	/**
+	 * Add the replies to a game.
+	 * 
+	 * @param {string} moves - the moves in column notation (canonical).
+	 * @param {Array<number>} scores - the score of each column for the player to move (null if the column is full).
+	 */
+	set(moves, scores) {
+		const best = Math.max(...scores.filter(score => score !== null));
+		const replies = scores.map((score, col) => (score === best)? col+1 : null).filter(col => col !== null);
+		this._entries[moves] = [Math.round(best)].concat(replies);
+	}
+
+	/**
+	 * Get the reply to a game.
+	 * 
+	 * @param {string} moves - the moves in column notation.
+	 * @param {Board} board - the board of the game.
+	 * @param {number} depth - the maximum number of moves read in the book.
+	 * @param {boolean} random - true to choose at random among the equal replies (else the first one).
+	 * @returns {number} - the column to play (from 0, null if the game isn't in the book).
+	 */
+	getMove(moves, board, depth, random) {
+		if (board.rows !== this._rows || board.cols !== this._cols || board.connect !== this._connect)
+			return null;
+		if (moves.length >= Math.min(depth, this._depth))
+			return null;
+
+		const canonical = this.isCanonical(moves);
+		const entry = this._entries[canonical? moves : this._mirror(moves)];
+		if (entry === undefined)
+			return null;
+
+		const replies = entry.slice(1);
+		const col = random? replies[Math.floor(Math.random() * replies.length)] : replies[0];
+		return canonical? col-1 : this._cols-col;
+	}
+
+	/**
+	 * Get the moves of the mirrored game.
+	 * 
+	 * @param {string} moves - the moves in column notation.
+	 * @returns {string} - the mirrored moves.
+	 */
+	_mirror(moves) {
+		return [...moves].map(col => this._cols+1 - parseInt(col)).join("");
+	}
+
+	/**
+	 * Get the data of the book (used to save it).
+	 * 
+	 * @returns {Object} - the board, the depth and the replies ({rows, cols, connect, depth, entries}).
+	 */
+	toJSON() {
+		return {rows: this._rows, cols: this._cols, connect: this._connect, depth: this._depth, entries: this._entries};
+	}
+
+	/**
+	 * Create a book from its data.
+	 * 
+	 * @param {Object} data - the data of the book (see toJSON).
+	 * @returns {OpeningBook} - the book.
+	 */
+	static fromJSON(data) {
+		let book = new OpeningBook(data, data.depth);
+		book._entries = data.entries;
+		return book;
+	}
+
+	/**
+	 * Read a book.
+	 * 
+	 * @param {string} file - the path of the file.
+	 * @returns {OpeningBook} - the book (null if the file can't be read).
+	 */
+	static load(file) {
+		try {
+			return OpeningBook.fromJSON(JSON.parse(fs.readFileSync(file, "utf8")));
+		}
+		catch (err) {
+			return null;
+		}
+	}
+}
\ No newline at end of file
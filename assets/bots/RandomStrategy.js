@@ -0,0 +1,21 @@
+const Strategy = require("./Strategy");
+
+/**
+ * A bot which plays a random column.
+ */
+module.exports = class RandomStrategy extends Strategy {
+
+	/**
+	 * Choose the move of the bot.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {number} room - the id of the room.
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents, in the order of their turns.
+	 * @returns {number} - the move to play (the column from 0, or a pop, see Position).
+	 */
+	chooseMove(board, me, room, opponents) {
+		const moves = board.getMoves(me);
+		return moves[Math.floor(Math.random() * moves.length)];
+	}
+}
\ No newline at end of file
@@ -0,0 +1,118 @@
+const config = require("config");
+const PlayerType = require("../model/PlayerType");
+const MinimaxStrategy = require("./MinimaxStrategy");
+const SolverStrategy = require("./SolverStrategy");
+const RandomStrategy = require("./RandomStrategy");
+const FirstStrategy = require("./FirstStrategy");
+
+// The kinds of bots, by the name used in the config ("strategy").
+const STRATEGIES = {
+	minimax: MinimaxStrategy,
+	solver: SolverStrategy,
+	random: RandomStrategy,
+	first: FirstStrategy
+};
+
+// The bots of the game (their emojis are in the config, which can change them or add other bots).
+const DEFAULTS = {
+	easy: {type: PlayerType.EASY_BOT, strategy: "minimax", depth: 1, description: "Looks one move ahead."},
+	normal: {type: PlayerType.NORMAL_BOT, strategy: "minimax", depth: 3, description: "Looks three moves ahead."},
+	stupid: {type: PlayerType.STUPID_BOT, strategy: "first", description: "Always plays the first free column."},
+	random: {type: PlayerType.RANDOM_BOT, strategy: "random", description: "Plays anywhere."},
+	cheat: {type: PlayerType.CHEAT_BOT, strategy: "minimax", depth: 8, description: "Looks eight moves ahead."},
+	perfect: {type: PlayerType.PERFECT_BOT, strategy: "solver", description: "Solves the game when it can."}
+};
+
+/**
+ * The bots which can be played against: the bots of the game, and the bots
+ * of the config ("bots": {name: {type, emoji, description, strategy, depth,
+ * randomness, weights...}}), in the order of the config.
+ */
+class Registry {
+
+	/**
+	 * Register the bots of the game and of the config.
+	 * 
+	 * @throws {Error} - if a bot of the config is invalid.
+	 */
+	constructor() {
+		this._bots = [];
+
+		const bots = config.get("bots");
+		const names = Object.keys(bots).concat(Object.keys(DEFAULTS).filter(name => bots[name] === undefined));
+		names.forEach(name => {
+			const options = Object.assign({name}, DEFAULTS[name], bots[name]);
+			const Strategy = STRATEGIES[options.strategy || "minimax"];
+			if (Strategy === undefined)
+				throw new Error(`The strategy of the bot \`${name}\` must be ${Object.keys(STRATEGIES).map(strategy => `\`${strategy}\``).join(", ")}.`);
+			this.register(new Strategy(options));
+		});
+	}
+
+	/**
+	 * Add a bot.
+	 * 
+	 * @param {Strategy} bot - the bot.
+	 * @throws {Error} - if its type, its name or its emoji is already used.
+	 */
+	register(bot) {
+		if (bot.type === PlayerType.HUMAN || this.get(bot.type) !== undefined)
+			throw new Error(`The type ${bot.type} of the bot \`${bot.name}\` is already used.`);
+		if (this.find(bot.name) !== undefined)
+			throw new Error(`The bot \`${bot.name}\` already exists.`);
+		if (this.findByEmoji(bot.emoji) !== undefined)
+			throw new Error(`The emoji ${bot.emoji} of the bot \`${bot.name}\` is already used.`);
+
+		this._bots.push(bot);
+	}
+
+	/**
+	 * Get the bots.
+	 * 
+	 * @returns {Array<Strategy>} - the bots.
+	 */
+	get bots() {
+		return this._bots;
+	}
+
+	/**
+	 * Get the names of the bots.
+	 * 
+	 * @returns {Array<string>} - the names.
+	 */
+	get names() {
+		return this._bots.map(bot => bot.name);
+	}
+
+	/**
+	 * Get a bot by its type.
+	 * 
+	 * @param {PlayerType} type - the type.
+	 * @returns {Strategy} - the bot (undefined if none).
+	 */
+	get(type) {
+		return this._bots.find(bot => bot.type === type);
+	}
+
+	/**
+	 * Get a bot by its name.
+	 * 
+	 * @param {string} name - the name (in any case).
+	 * @returns {Strategy} - the bot (undefined if none).
+	 */
+	find(name) {
+		return this._bots.find(bot => bot.name === name.toLowerCase());
+	}
+
+	/**
+	 * Get a bot by its emoji.
+	 * 
+	 * @param {string} emoji - the emoji.
+	 * @returns {Strategy} - the bot (undefined if none).
+	 */
+	findByEmoji(emoji) {
+		return this._bots.find(bot => bot.emoji === emoji);
+	}
+}
+
+module.exports = new Registry();
\ No newline at end of file
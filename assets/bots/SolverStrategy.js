@@ -0,0 +1,97 @@
+const config = require("config");
+const Strategy = require("./Strategy");
+const Search = require("../model/Search");
+const Solver = require("../model/Solver");
+
+/**
+ * A bot which solves the position within a time budget (the table of the
+ * solver of a room is kept from one move to the next). The solver only knows
+ * the games of two players, with more players the bot searches as deep as
+ * its time budget allows with the paranoid search.
+ */
+module.exports = class SolverStrategy extends Strategy {
+
+	/**
+	 * Initialize the bot.
+	 * 
+	 * @param {Object} options - the bot (see Strategy) and its search ({timeBudget: the time of a search in ms,
+	 * solver.timeBudget by default, weights: the weights of the evaluation of the leaves, see Search}).
+	 * @throws {Error} - if the options are invalid.
+	 */
+	constructor(options) {
+		super(options);
+		this._timeBudget = (options.timeBudget === undefined)? config.get("solver").timeBudget : options.timeBudget;
+		this._weights = options.weights || {};
+		// room id => solver of the room.
+		this._solvers = new Map();
+
+		if (!Number.isInteger(this._timeBudget) || this._timeBudget < 1)
+			throw new Error(`The time budget of the bot \`${this.name}\` must be a positive number of ms.`);
+		Search.validate(this._weights);
+	}
+
+	/**
+	 * Get the strength of the bot.
+	 * 
+	 * @returns {number} - the strongest (it searches until the time budget is spent).
+	 */
+	get strength() {
+		return Infinity;
+	}
+
+	/**
+	 * Choose the move of the bot.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {number} room - the id of the room.
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents, in the order of their turns.
+	 * @returns {number} - the move to play (the column from 0, or a pop, see Position).
+	 */
+	chooseMove(board, me, room, opponents) {
+		if (opponents.length > 1)
+			return this._searchDeeper(board, me, opponents);
+
+		if (!this._solvers.has(room)) {
+			const search = new Search(me, opponents[0], this._weights);
+			this._solvers.set(room, new Solver((position, type) => search.getScore(position, type), this._timeBudget, config.get("solver").tableSize));
+		}
+		return this._solvers.get(room).getBestPos(board.toPosition(), me, opponents[0]);
+	}
+
+	/**
+	 * Search the move of a game of more than two players one move deeper at a time,
+	 * while the next search should end within the time budget.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents, in the order of their turns.
+	 * @returns {number} - the column to play.
+	 */
+	_searchDeeper(board, me, opponents) {
+		const search = new Search(me, opponents[0], this._weights, opponents.slice(1));
+		const position = board.toPosition();
+		// The squares left to play (there is no pop with more than two players).
+		const left = board.rows*board.cols - position.moves;
+		const start = Date.now();
+		let move, depth = 0, time;
+
+		// A search lasts about as many times the previous one as there are columns.
+		do {
+			const searchStart = Date.now();
+			move = search.paranoid(position, ++depth, -Infinity, Infinity, 0, true);
+			time = Date.now() - searchStart;
+		} while (depth < left && Date.now() - start + time*board.cols < this._timeBudget);
+
+		return move;
+	}
+
+	/**
+	 * Forget the solver of a room.
+	 * 
+	 * @param {number} room - the id of the room.
+	 */
+	release(room) {
+		this._solvers.delete(room);
+	}
+}
\ No newline at end of file
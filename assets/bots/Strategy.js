@@ -0,0 +1,113 @@
+/**
+ * A bot of the game: how it's shown (its name, its emoji, its description)
+ * and how it chooses its moves. The subclasses implement chooseMove, which
+ * runs in the workers of the pool.
+ */
+module.exports = class Strategy {
+
+	/**
+	 * Initialize the bot.
+	 * 
+	 * @param {Object} options - the bot ({type: the id of the bot, kept in the saved games and the ratings, name: the name
+	 * written in the commands, emoji: the emoji of its reaction, description}).
+	 * @throws {Error} - if the options are invalid.
+	 */
+	constructor(options) {
+		if (!Number.isInteger(options.type) || options.type < 1)
+			throw new Error(`The type of the bot \`${options.name}\` must be a positive integer.`);
+		if (typeof options.name !== "string" || !/^[a-z0-9]+$/.test(options.name) || options.name === "ask")
+			throw new Error(`The name of a bot must be written with lowercase letters and digits (not \`${options.name}\`).`);
+		if (typeof options.emoji !== "string" || options.emoji.length === 0)
+			throw new Error(`The bot \`${options.name}\` needs an emoji.`);
+
+		this._type = options.type;
+		this._name = options.name;
+		this._emoji = options.emoji;
+		this._description = options.description || "";
+	}
+
+	/**
+	 * Get the type of the bot.
+	 * 
+	 * @returns {number} - the type (a PlayerType).
+	 */
+	get type() {
+		return this._type;
+	}
+
+	/**
+	 * Get the name of the bot.
+	 * 
+	 * @returns {string} - the name (e.g. "easy").
+	 */
+	get name() {
+		return this._name;
+	}
+
+	/**
+	 * Get the emoji of the bot.
+	 * 
+	 * @returns {string} - the emoji.
+	 */
+	get emoji() {
+		return this._emoji;
+	}
+
+	/**
+	 * Get the description of the bot.
+	 * 
+	 * @returns {string} - the description (empty if none).
+	 */
+	get description() {
+		return this._description;
+	}
+
+	/**
+	 * Get the name of the bot on a button.
+	 * 
+	 * @returns {string} - the name with a capital letter (e.g. "Easy").
+	 */
+	get label() {
+		return `${this._name[0].toUpperCase()}${this._name.slice(1)}`;
+	}
+
+	/**
+	 * Get the name shown of the bot.
+	 * 
+	 * @returns {string} - the emoji and the name (e.g. "🙂 Easy bot").
+	 */
+	get title() {
+		return `${this._emoji} ${this.label} bot`;
+	}
+
+	/**
+	 * Get the strength of the bot, to compare it with the others.
+	 * 
+	 * @returns {number} - the strength (0 if the bot doesn't search).
+	 */
+	get strength() {
+		return 0;
+	}
+
+	/**
+	 * Choose the move of the bot.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {number} room - the id of the room (the data kept from one move to the next).
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents, in the order of their turns
+	 * (one opponent, or up to three in a game of more than two players).
+	 * @returns {number} - the move to play (the column from 0, or a pop, see Position).
+	 */
+	chooseMove(board, me, room, opponents) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Forget the data kept for a room.
+	 * 
+	 * @param {number} room - the id of the room.
+	 */
+	release(room) {
+	}
+}
\ No newline at end of file
@@ -3,6 +3,19 @@ const view = require("../view/View");
 const Game = require("../model/Game");
 const PlayerType = require("../model/PlayerType");
 const Room = require("../model/Room");
+const Tournament = require("../model/Tournament");
+const Series = require("../model/Series");
+const Board = require("../model/Board");
+const BotMatch = require("../model/BotMatch");
+const options = require("./Options");
+const Storage = require("../storage/Storage");
+const Stats = require("../model/Stats");
+const Replay = require("../model/Replay");
+const settings = require("../model/Settings");
+const Session = require("./Session");
+const DiscordTransport = require("../transport/DiscordTransport");
+const pool = require("../worker/BotPool");
+const registry = require("../bots/Registry");
 
 /**
  * A Controller of the Connect4 Game.
@@ -15,6 +28,80 @@ class Controller {
 	constructor() {
 		this._game = new Game();
 		this._asking = [];
+		// The channels where a takeback is asked.
+		this._askingTakeback = [];
+		// The channels where a draw is offered.
+		this._askingDraw = [];
+		// The channels where a hint is searched.
+		this._askingHint = [];
+		// message id => collectors of the reactions (the buttons are collected as reactions).
+		this._collectors = new Map();
+		// channel id => session of the game in progress.
+		this._sessions = new Map();
+		// channel id => {moves, options} of the last game finished.
+		this._lastGames = new Map();
+		// The channels where a game is analyzed.
+		this._analyzing = [];
+		// channel id => series of games in progress.
+		this._series = new Map();
+		// channel id => {tournament, message, room} (room of the match in progress, null if none).
+		this._tournaments = new Map();
+		this._savedTournaments = new Storage("tournaments");
+		this._savedRooms = new Storage("rooms");
+		this._savedAsking = new Storage("asking");
+		this._stats = new Stats();
+	}
+
+	/**
+	 * Get the rooms in progress.
+	 * 
+	 * @returns {Game} - the rooms (by channel id).
+	 */
+	get game() {
+		return this._game;
+	}
+
+	/**
+	 * Collect the reactions of a message (and its buttons, see click).
+	 * 
+	 * @param {Message} message - the message.
+	 * @param {Function} filter - the filter of the reactions (reaction, user).
+	 * @param {Object} collectorOptions - the options of the collector ({time, max}).
+	 * @returns {ReactionCollector} - the collector.
+	 */
+	_collect(message, filter, collectorOptions) {
+		const collector = message.createReactionCollector(filter, collectorOptions);
+		if (!this._collectors.has(message.id))
+			this._collectors.set(message.id, []);
+		this._collectors.get(message.id).push(collector);
+
+		collector.on("end", () => {
+			const collectors = this._collectors.get(message.id).filter(other => other !== collector);
+			if (collectors.length === 0)
+				this._collectors.delete(message.id);
+			else
+				this._collectors.set(message.id, collectors);
+		});
+		return collector;
+	}
+
+	/**
+	 * A member clicks a button of a message, as if the member reacted with its emoji.
+	 * 
+	 * @param {string} messageId - the id of the message.
+	 * @param {User} user - the user who clicks.
+	 * @param {string} emoji - the emoji of the button.
+	 * @returns {boolean} - true if a collector waits for this message.
+	 */
+	click(messageId, user, emoji) {
+		const collectors = this._collectors.get(messageId);
+		if (collectors === undefined)
+			return false;
+
+		// There is no reaction to remove.
+		const reaction = {emoji: {id: null, name: emoji}, message: {id: messageId}, count: 1, users: {cache: new Map(), remove: () => Promise.resolve()}};
+		collectors.slice().forEach(collector => collector.handleCollect(reaction, user));
+		return true;
 	}
 
 	/**
@@ -22,72 +109,149 @@ class Controller {
 	 * 
 	 * @param {GuildChannel} channel - the channel where the room is created.
 	 * @param {GuildMember} creator - the member who creates this room. 
-	 * @param {GuildMember} opponent - the opponent (null if bot). 
+	 * @param {Array<GuildMember>} opponents - the members invited (none against a bot, two or three for a game of more than two players). 
+	 * @param {Array<string>} args - the arguments of the command.
 	 */
-	newRoom(channel, creator, opponent) {
+	newRoom(channel, creator, opponents, args) {
 		if (this._game.has(channel.id) || this._asking.includes(channel.id)) {
 			view.showError(channel, "There is already a room in this channel"); return;
 		}
 
+		// The bots, the creator and the members invited twice are ignored.
+		const members = (opponents || []).filter((member, i, all) => !member.user.bot && member.id !== creator.id && all.findIndex(other => other.id === member.id) === i);
+		let roomOptions;
+		try {
+			roomOptions = Object.assign(this._getTimeoutOptions(channel), options.parseRoom(args));
+			if (roomOptions.difficulty !== undefined && registry.find(roomOptions.difficulty) === undefined)
+				throw new Error(`The bot must be ${registry.names.map(name => `\`${name}\``).join(", ")}.`);
+			Room.validate(Object.assign({}, roomOptions, {others: this._getOthers(members, roomOptions)}));
+			if (roomOptions.bestOf !== undefined && this._getOthers(members, roomOptions).length > 0)
+				throw new Error("A series is played by two players.");
+			if (roomOptions.bestOf !== undefined)
+				Series.validate(roomOptions.bestOf);
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
 		this._asking.push(channel.id);
 
 		// Bot.
-		if (opponent === undefined || opponent.user.bot || opponent.id === creator.id)
-			this._botRoom(channel, creator);
+		if (members.length === 0)
+			this._botRoom(channel, creator, roomOptions);
 		// Human.
 		else
-			this._humanRoom(channel, creator, opponent);
+			this._humanRoom(channel, creator, members, roomOptions);
 	}
 
+	/**
+	 * Get the players after the first two of a game against members: the other members,
+	 * and the bot of \`--bot\` (which makes a game of more than two players against members).
+	 * 
+	 * @param {Array<GuildMember>} members - the members invited.
+	 * @param {Object} roomOptions - the options of the room.
+	 * @returns {Array<Object>} - the other players ([{member, type}], the member is null for the bot).
+	 */
+	_getOthers(members, roomOptions) {
+		let others = members.slice(1).map(member => ({member, type: PlayerType.HUMAN}));
+		if (members.length > 0 && roomOptions.difficulty !== undefined)
+			others.push({member: null, type: registry.find(roomOptions.difficulty).type});
+		return others;
+	}
+
+	/**
+	 * Create a room where two bots play against each other (their moves are delayed so the members can follow the game).
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {Array<string>} args - the arguments of the command (the two bots, then the options of the board).
+	 */
+	botMatch(channel, args) {
+		if (this._game.has(channel.id) || this._asking.includes(channel.id)) {
+			view.showError(channel, "There is already a room in this channel"); return;
+		}
+
+		const bots = args.slice(0, 2).map(name => registry.find(name));
+		try {
+			if (bots.length < 2 || bots.includes(undefined))
+				throw new Error(`Choose two bots among ${registry.names.map(name => `\`${name}\``).join(", ")} (e.g. \`${settings.get(channel.guild.id, "prefix")}connect4 botmatch easy cheat\`).`);
+			this._game.newRoom(channel.id, null, null, bots[1].type, Object.assign(options.parseRoom(args.slice(2)), {firstType: bots[0].type}));
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		this._startRoom(channel, this._game.getRoom(channel.id));
+	}
+
+
+	/**
+	 * Get the timeout policy of the guild, used by the rooms which don't choose one.
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @returns {Object} - the options of the room ({timeout, forfeitAfter}).
+	 */
+	_getTimeoutOptions(channel) {
+		return {
+			timeout: settings.get(channel.guild.id, "timeoutPolicy"),
+			forfeitAfter: settings.get(channel.guild.id, "forfeitAfter")
+		};
+	}
 
 	/**
 	 * Handle bot room.
 	 * 
 	 * @param {Channel} channel - the channel where the room is created.
 	 * @param {GuildMember} creator - the member who creates this room. 
+	 * @param {Object} roomOptions - the options of the room.
 	 */
-	_botRoom(channel, creator) {
+	_botRoom(channel, creator, roomOptions) {
+		// The bot of the command, or the default bot of the guild (chosen with the reactions if it's "ask").
+		const bot = registry.find(roomOptions.difficulty || settings.get(channel.guild.id, "difficulty"));
+		if (bot !== undefined) {
+			this._createRoom(channel, creator, null, bot.type, roomOptions);
+			this._stopAsking(channel);
+			this._startRoom(channel, this._game.getRoom(channel.id));
+			return;
+		}
+
 		view.askBot(channel, creator)
 		.then(message => {
-			const filter = (reaction, user) => Object.values(config.get("bots")).includes(reaction.emoji.name) && user.id === creator.id;
-			const collector = message.createReactionCollector(filter, {time: 60000});
-
-			collector.on("collect", r => {
-				let botType;
-				switch (r.emoji.name) {
-					case (config.get("bots").easyBot):
-						botType = PlayerType.EASY_BOT;
-						break;
-					case (config.get("bots").normalBot):
-						botType = PlayerType.NORMAL_BOT;
-						break;
-					case (config.get("bots").stupidBot):
-						botType = PlayerType.STUPID_BOT;
-						break;
-					case (config.get("bots").randomBot):
-						botType = PlayerType.RANDOM_BOT;
-						break;
-					case (config.get("bots").cheatBot):
-						botType = PlayerType.CHEAT_BOT;
-						break;
-				}
+			this._saveAsking(channel, message, creator, null, roomOptions, 60000);
+			this._collectBot(channel, message, creator, roomOptions, 60000);
+		})
+		.catch(err => {
+			this._stopAsking(channel);
+			view.showError(channel, `Couldn't start the game, retry ${settings.get(channel.guild.id, "prefix")}connect4.`);
+		});
+	}
 
-				this._game.newRoom(channel.id, creator, null, botType);
-				collector.stop("stopped");
-			});
+	/**
+	 * Collect the choice of the bot.
+	 * 
+	 * @param {Channel} channel - the channel where the room is created.
+	 * @param {Message} message - the message asking the bot.
+	 * @param {GuildMember} creator - the member who creates this room. 
+	 * @param {Object} roomOptions - the options of the room.
+	 * @param {number} time - the time to choose (ms).
+	 */
+	_collectBot(channel, message, creator, roomOptions, time) {
+		const filter = (reaction, user) => registry.findByEmoji(reaction.emoji.name) !== undefined && user.id === creator.id;
+		const collector = this._collect(message, filter, {time});
 
-			collector.on("end", (collected, reason) => {
-				if (reason === "stopped") {
-					const room = this._game.getRoom(channel.id);
-					this._handlePlay(channel, view.showBoard(channel, room.getBoard(), room.currentPlayer), room);
-				}
-				else
-					view.endAskBot(message, creator);
+		collector.on("collect", r => {
+			if (this._asking.includes(channel.id))
+				this._createRoom(channel, creator, null, registry.findByEmoji(r.emoji.name).type, roomOptions);
+			collector.stop("stopped");
+		});
 
-				this._asking.splice(this._asking.indexOf(channel.id), 1);
-			});
-		})
-		.catch(err => view.showError(channel, `Couldn't start the game, retry ${config.get("prefix")}connect4.`));
+		collector.on("end", (collected, reason) => {
+			if (reason === "stopped" && this._game.has(channel.id))
+				this._startRoom(channel, this._game.getRoom(channel.id));
+			else
+				view.endAskBot(message, creator);
+
+			this._stopAsking(channel);
+		});
 	}
 
 	/**
@@ -95,91 +259,386 @@ class Controller {
 	 * 
 	 * @param {GuildChannel} channel - the channel where the room is created.
 	 * @param {GuildMember} creator - the member who creates this room. 
-	 * @param {GuildMember} opponent - the opponent.
+	 * @param {Array<GuildMember>} opponents - the members invited.
+	 * @param {Object} roomOptions - the options of the room.
 	 */
-	_humanRoom(channel, creator, opponent) {
-		view.askOpponent(channel, creator, opponent)
+	_humanRoom(channel, creator, opponents, roomOptions) {
+		view.askOpponent(channel, creator, opponents, this._getBot(opponents, roomOptions))
 		.then(message => {
-			const filter = (reaction, user) => (reaction.emoji.name === "🙋‍♂️" || reaction.emoji.name === "🙅‍♂️") && user.id === opponent.id;
-			const collector = message.createReactionCollector(filter, {time: 60000});
+			this._saveAsking(channel, message, creator, opponents, roomOptions, 60000);
+			this._collectOpponent(channel, message, creator, opponents, roomOptions, 60000);
+		})
+		.catch(err => {
+			this._stopAsking(channel);
+			view.showError(channel, `Couldn't start the game, retry ${settings.get(channel.guild.id, "prefix")}connect4.`);
+		});
+	}
 
-			collector.on("collect", r => {
-				if (r.emoji.name === "🙋‍♂️") {
-					this._game.newRoom(channel.id, creator, opponent, PlayerType.HUMAN);
-					collector.stop("stopped");
-				}
-			});
+	/**
+	 * Get the bot who plays too in a game against members (see _getOthers).
+	 * 
+	 * @param {Array<GuildMember>} opponents - the members invited.
+	 * @param {Object} roomOptions - the options of the room.
+	 * @returns {PlayerType} - the type of the bot (null if none).
+	 */
+	_getBot(opponents, roomOptions) {
+		const bot = this._getOthers(opponents, roomOptions).find(other => other.member === null);
+		return (bot === undefined)? null : bot.type;
+	}
 
-			collector.on("end", (collected, reason) => {
-				if (reason === "stopped") {
-					const room = this._game.getRoom(channel.id);
-					this._handlePlay(channel, view.showBoard(channel, room.getBoard(), room.currentPlayer), room);
-				}
-				else
-					view.endAskOpponent(message, creator, opponent);
+	/**
+	 * Collect the answers of the opponents (the game starts when all of them accepted, a decline ends the request).
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {Message} message - the message asking the opponents.
+	 * @param {GuildMember} creator - the member who creates this room. 
+	 * @param {Array<GuildMember>} opponents - the members invited.
+	 * @param {Object} roomOptions - the options of the room.
+	 * @param {number} time - the time to answer (ms).
+	 */
+	_collectOpponent(channel, message, creator, opponents, roomOptions, time) {
+		const filter = (reaction, user) => (reaction.emoji.name === "🙋‍♂️" || reaction.emoji.name === "🙅‍♂️") && opponents.some(opponent => opponent.id === user.id);
+		const collector = this._collect(message, filter, {time});
+		const bot = this._getBot(opponents, roomOptions);
+		let accepted = [];
+		let declined = null;
 
-				this._asking.splice(this._asking.indexOf(channel.id), 1);
-			});
+		collector.on("collect", (r, user) => {
+			const opponent = opponents.find(opponent => opponent.id === user.id);
+			if (r.emoji.name === "🙅‍♂️") {
+				declined = opponent;
+				collector.stop("declined"); return;
+			}
+
+			if (!accepted.includes(opponent))
+				accepted.push(opponent);
+			if (accepted.length < opponents.length) {
+				view.updateAskOpponent(message, creator, opponents, bot, accepted);
+				return;
+			}
+
+			if (this._asking.includes(channel.id))
+				this._createRoom(channel, creator, opponents[0], PlayerType.HUMAN, roomOptions, this._getOthers(opponents, roomOptions));
+			collector.stop("stopped");
+		});
+
+		collector.on("end", (collected, reason) => {
+			if (reason === "stopped" && this._game.has(channel.id))
+				this._startRoom(channel, this._game.getRoom(channel.id));
+			else
+				view.endAskOpponent(message, creator, opponents, bot, declined);
+
+			this._stopAsking(channel);
+		});
+	}
+
+	/**
+	 * Create the room (or the series of rooms) of a channel.
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {GuildMember} creator - the member who creates this room. 
+	 * @param {GuildMember} opponent - the opponent (null if bot).
+	 * @param {PlayerType} type - the type of the opponent.
+	 * @param {Object} roomOptions - the options of the room.
+	 * @param {Array<Object>} others - the other players of a game of more than two players ([{member, type}], see Room).
+	 */
+	_createRoom(channel, creator, opponent, type, roomOptions, others = []) {
+		if (roomOptions.bestOf === undefined) {
+			this._game.newRoom(channel.id, creator, opponent, type, Object.assign({}, roomOptions, {others})); return;
+		}
+
+		const series = new Series(creator, opponent, type, roomOptions.bestOf, roomOptions);
+		this._series.set(channel.id, series);
+		this._game.addRoom(channel.id, series.newRoom());
+	}
+
+	/**
+	 * Get the series of a room.
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {Room} room - the room.
+	 * @returns {Series} - the series (null if the room isn't in a series).
+	 */
+	_getSeries(channel, room) {
+		const series = this._series.get(channel.id);
+		return (series !== undefined && series.room === room)? series : null;
+	}
+
+	/**
+	 * Start the session of a room in the channel (show the board and wait for the first move).
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {Room} room - the room.
+	 * @param {Message} message - the board message (after a restart, null to send it).
+	 */
+	_startRoom(channel, room, message = null) {
+		const session = new Session(new DiscordTransport(channel, this._collect.bind(this)), room, {
+			series: this._getSeries(channel, room),
+			turnTimeout: settings.get(channel.guild.id, "turnTimeout"),
+			// Between two bots, the members can follow the moves.
+			moveDelay: room.players.every(player => player.type !== PlayerType.HUMAN)? config.get("botMatchDelay") : 0
+		});
+		this._sessions.set(channel.id, session);
+
+		session.on("turn", message => this._saveRoom(channel, message, room));
+		session.on("over", () => this._endRoom(channel, session));
+		session.on("error", () => this._stopRoom(channel));
+		session.start(message);
+	}
+
+	/**
+	 * Record the result of a room over and announce it (then start the next game of the series or the tournament).
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {Session} session - the session of the room.
+	 */
+	_endRoom(channel, session) {
+		const room = session.room;
+		const series = session.series;
+		if (series !== null)
+			series.record();
+		const board = room.getBoard();
+		// The moves of a game with skipped turns (or without move) can't be replayed, nor a game of more than two players.
+		const game = (room.skipped || room.moveCount === 0 || room.players.length > 2)? null : {moves: room.moveString, options: {rows: board.rows, cols: board.cols, connect: board.connect, popout: board.popout}};
+		if (game !== null)
+			this._lastGames.set(channel.id, game);
+		session.transport.announceResult(room, series, (game === null)? null : game.moves)
+		.then(message => {
+			if (game === null || game.options.popout)
+				return;
+			const filter = (reaction, user) => reaction.emoji.name === "🔍" && !user.bot;
+			const collector = this._collect(message, filter, {time: 300000, max: 1});
+			collector.on("collect", () => this._analyze(channel, game.moves, game.options));
 		})
-		.catch(err => view.showError(channel, `Couldn't start the game, retry ${config.get("prefix")}connect4.`));
+		.catch(err => {});
+		this._stats.record(channel.guild.id, room, room.getWinner());
+		this._stopRoom(channel);
+		if (series !== null)
+			this._nextGame(channel, series);
+		this._endMatch(channel, room);
+	}
+
+	/**
+	 * Start the next game of a series (or end it).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the series.
+	 * @param {Series} series - the series.
+	 */
+	_nextGame(channel, series) {
+		if (series.over) {
+			view.showSeriesWinner(channel, series); return;
+		}
+
+		this._series.set(channel.id, series);
+		this._game.addRoom(channel.id, series.newRoom());
+		this._startRoom(channel, series.room);
 	}
 
 	/**
-	 * Handle the play reaction from a player.
+	 * Save a pending request (to restore it after a restart).
 	 * 
 	 * @param {GuildChannel} channel - the channel where the room is created.
-	 * @param {Promise<Message>} message - the board message.
-	 * @param {Room} room - the room. 
-	 */
-	_handlePlay(channel, message, room) {
-		message.then(message2 => {
-			// Active cheat.
-			//console.log(`Play '${this._game.getRoom(channel.id)._minimax(this._game.getRoom(channel.id).getBoard(), 8, -Infinity, Infinity, true, true)+1}' to win.`);
-			
-			const nums = ["1️⃣", "2️⃣", "3️⃣", "4️⃣", "5️⃣", "6️⃣", "7️⃣"];
-			let numsFree = [];
-			// Set to null all the nums already used.
-			Object.keys(nums).forEach(i => numsFree.push(room.getBoard().hasFreeSquare(parseInt(i))? nums[i] : null));
-			
-			const filter = (reaction, user) => numsFree.includes(reaction.emoji.name) && user.id === room.currentPlayer.id;
-			const collector = message2.createReactionCollector(filter, {time: 60000});
-
-			collector.on("collect", r => {
-				// Remove the reaction.
-				r.users.remove(room.currentPlayer.member);
-
-				room.play(parseInt(Object.keys(numsFree).find(num => numsFree[num] === r.emoji.name)))
-				.then(() => {
-					
-					if (room.isOver()) {
-						view.updateBoard(message2, room.getBoard(), room.currentPlayer);
-						view.showWinner(channel, room.getWinner());
-						this._game.stop(channel.id);
-					}
-					else
-						this._handlePlay(channel, view.updateBoard(message2, room.getBoard(), room.currentPlayer), room);
-				});
+	 * @param {Message} message - the message of the request.
+	 * @param {GuildMember} creator - the member who creates this room. 
+	 * @param {Array<GuildMember>} opponents - the members invited (null if bot).
+	 * @param {Object} roomOptions - the options of the room.
+	 * @param {number} time - the time to answer (ms).
+	 */
+	_saveAsking(channel, message, creator, opponents, roomOptions, time) {
+		if (!this._asking.includes(channel.id))
+			return;
 
-				collector.stop("stopped");
-			});
+		this._savedAsking.set(channel.id, {
+			message: message.id,
+			creator: creator.id,
+			opponents: (opponents === null)? null : opponents.map(opponent => opponent.id),
+			options: roomOptions,
+			expires: Date.now() + time
+		});
+	}
 
-			collector.on("end", (collected, reason) => {
-				if (reason !== "stopped" && this._game.has(channel.id)) {
-					view.showInfo(channel, "Your turn is over, you have 1 minute to play.");
-					room.passTurn()
-					.then(() => {
-						if (room.isOver()) {
-							view.updateBoard(message2, room.getBoard(), room.currentPlayer);
-							view.showWinner(channel, room.getWinner());
-							this._game.stop(channel.id);
-						}
-						else
-							this._handlePlay(channel, view.updateBoard(message2, room.getBoard(), room.currentPlayer), room)
-					});
+	/**
+	 * Remove a pending request.
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 */
+	_stopAsking(channel) {
+		if (this._asking.includes(channel.id))
+			this._asking.splice(this._asking.indexOf(channel.id), 1);
+		this._savedAsking.delete(channel.id);
+	}
+
+	/**
+	 * Save a room (to restore it after a restart).
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {Message} message - the board message.
+	 * @param {Room} room - the room.
+	 */
+	_saveRoom(channel, message, room) {
+		if (this._game.getRoom(channel.id) !== room)
+			return;
+
+		const series = this._getSeries(channel, room);
+		this._savedRooms.set(channel.id, Object.assign(room.toJSON(), {message: message.id}, (series !== null)? {series: series.toJSON()} : {}));
+	}
+
+	/**
+	 * Stop a room and forget it.
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 */
+	_stopRoom(channel) {
+		if (this._sessions.has(channel.id))
+			this._sessions.get(channel.id).stop();
+		this._sessions.delete(channel.id);
+		this._game.stop(channel.id);
+		this._series.delete(channel.id);
+		this._savedRooms.delete(channel.id);
+	}
+
+	/**
+	 * Restore the rooms and the requests saved before a restart.
+	 * 
+	 * @param {Client} client - the client of the bot.
+	 * @returns {Promise} - when everything is restored.
+	 */
+	restore(client) {
+		const rooms = this._savedRooms.keys().map(id => {
+			const data = this._savedRooms.get(id);
+			let channel;
+
+			return client.channels.fetch(id)
+			.then(result => {
+				channel = result;
+				return Promise.all([
+					channel.messages.fetch(data.message),
+					Promise.all(data.players.map(player => (player.type === PlayerType.HUMAN)? channel.guild.members.fetch(player.id) : null))
+				]);
+			})
+			.then(([message, members]) => {
+				const room = Room.fromJSON(data, members);
+				this._game.addRoom(id, room);
+				if (data.series !== undefined) {
+					const series = Series.fromJSON(data.series, members, data.players[1].type);
+					series.room = room;
+					this._series.set(id, series);
 				}
-			});
-		})
-		.catch(err => view.showError(channel, "A problem happend, restart the game !"));
+				this._startRoom(channel, room, message);
+			})
+			.catch(err => this._savedRooms.delete(id));
+		});
+
+		const asking = this._savedAsking.keys().map(id => {
+			const data = this._savedAsking.get(id);
+			let channel, message;
+
+			return client.channels.fetch(id)
+			.then(result => {
+				channel = result;
+				return channel.messages.fetch(data.message);
+			})
+			.then(result => {
+				message = result;
+				return Promise.all([channel.guild.members.fetch(data.creator), (data.opponents === null)? null : Promise.all(data.opponents.map(opponent => channel.guild.members.fetch(opponent)))]);
+			})
+			.then(([creator, opponents]) => {
+				const time = data.expires - Date.now();
+				if (time <= 0) {
+					this._savedAsking.delete(id);
+					if (opponents === null)
+						view.endAskBot(message, creator);
+					else
+						view.endAskOpponent(message, creator, opponents, this._getBot(opponents, data.options));
+					return;
+				}
+
+				this._asking.push(id);
+				if (opponents === null)
+					this._collectBot(channel, message, creator, data.options, time);
+				else
+					this._collectOpponent(channel, message, creator, opponents, data.options, time);
+			})
+			.catch(err => this._savedAsking.delete(id));
+		});
+
+		return Promise.all(rooms.concat(asking)).then(() => this._restoreTournaments(client));
+	}
+
+	/**
+	 * Restore the tournaments saved before a restart (after the rooms, so a match in progress is found).
+	 * 
+	 * @param {Client} client - the client of the bot.
+	 * @returns {Promise} - when the tournaments are restored.
+	 */
+	_restoreTournaments(client) {
+		return Promise.all(this._savedTournaments.keys().map(id => {
+			const data = this._savedTournaments.get(id);
+			let channel;
+
+			return client.channels.fetch(id)
+			.then(result => {
+				channel = result;
+				return channel.messages.fetch(data.message);
+			})
+			.then(message => {
+				const tournament = Tournament.fromJSON(data);
+				const room = this._game.getRoom(id);
+				this._tournaments.set(id, {tournament, message, room: (room !== undefined && this._isMatchRoom(tournament, room))? room : null});
+
+				if (tournament.started && !this._game.has(id))
+					this._nextMatch(channel);
+			})
+			.catch(err => this._savedTournaments.delete(id));
+		}));
+	}
+
+	/**
+	 * Play a move written in a message (the number of the column).
+	 * 
+	 * @param {Message} message - the message of the move.
+	 * @param {string} column - the column (from 1, with a p before it to pop in PopOut).
+	 * @param {boolean} command - true if written with the play command (the errors are shown),
+	 * false if only a number (it could be another message, it's ignored if it isn't a move).
+	 */
+	play(message, column, command) {
+		if (this.playColumn(message.channel, message.author, column, command) && settings.get(message.channel.guild.id, "deleteMoves"))
+			message.delete().catch(err => {});
+	}
+
+	/**
+	 * Play a move of a member in a column (from a message or a command of the application).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the game.
+	 * @param {User} user - the user who plays.
+	 * @param {string} column - the column (from 1, with a p before it to pop in PopOut).
+	 * @param {boolean} command - true if the errors are shown.
+	 * @returns {boolean} - true if played.
+	 */
+	playColumn(channel, user, column, command) {
+		const room = this._game.getRoom(channel.id);
+		const session = this._sessions.get(channel.id);
+
+		if (room === undefined || session === undefined || !session.waiting) {
+			if (command)
+				view.showError(channel, "There is no game waiting for a move in this channel.");
+			return false;
+		}
+		if (room.currentPlayer.type !== PlayerType.HUMAN || room.currentPlayer.id !== user.id) {
+			if (command)
+				view.showError(channel, "It's not your turn.");
+			return false;
+		}
+
+		let move;
+		try {
+			move = room.parseMove(column);
+		}
+		catch (err) {
+			view.showError(channel, err.message); return false;
+		}
+
+		return session.play(move.pos, move.type);
 	}
 
 	/**
@@ -192,13 +651,634 @@ class Controller {
 			view.showError(channel, "There is no room in this channel."); return;
 		}
 
+		if (this._tournaments.has(channel.id) && this._tournaments.get(channel.id).room === this._game.getRoom(channel.id)) {
+			view.showError(channel, `This game is a match of the tournament, use \`${settings.get(channel.guild.id, "prefix")}tournament cancel\` to stop the tournament.`); return;
+		}
+
 		if (this._asking.includes(channel.id))
-			this._asking.splice(this._asking.indexOf(channel.id), 1);
+			this._stopAsking(channel);
 		else 
-			this._game.stop(channel.id);
+			this._stopRoom(channel);
 		view.showInfo(channel, "The game has ended.");
 	}
 
+	/**
+	 * Take back the last move of a member (against a member, the opponent must accept).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member who wants to take back a move.
+	 */
+	undo(channel, member) {
+		if (!this._game.has(channel.id)) {
+			view.showError(channel, "There is no room in this channel."); return;
+		}
+		if (this._askingTakeback.includes(channel.id)) {
+			view.showError(channel, "A takeback is already asked."); return;
+		}
+
+		const room = this._game.getRoom(channel.id);
+		const player = room.players.find(player => player.type === PlayerType.HUMAN && player.id === member.id);
+		try {
+			room.checkTakeback(player);
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		// Bot.
+		if (room.players[1].type !== PlayerType.HUMAN) {
+			this._takeback(channel, room, player);
+			return;
+		}
+
+		// Human.
+		const opponent = room.players.find(other => other !== player);
+		this._askingTakeback.push(channel.id);
+		view.askTakeback(channel, player.member, opponent.member)
+		.then(message => {
+			const filter = (reaction, user) => (reaction.emoji.name === "👍" || reaction.emoji.name === "👎") && user.id === opponent.id;
+			const collector = this._collect(message, filter, {time: 30000});
+
+			collector.on("collect", r => collector.stop((r.emoji.name === "👍")? "accepted" : "refused"));
+
+			collector.on("end", (collected, reason) => {
+				this._askingTakeback.splice(this._askingTakeback.indexOf(channel.id), 1);
+				view.endAskTakeback(message, player.member, opponent.member, reason === "accepted");
+				if (reason === "accepted" && this._game.getRoom(channel.id) === room)
+					this._takeback(channel, room, player);
+			});
+		})
+		.catch(err => {
+			this._askingTakeback.splice(this._askingTakeback.indexOf(channel.id), 1);
+			view.showError(channel, "Couldn't ask the takeback, retry.");
+		});
+	}
+
+	/**
+	 * End the game as a loss for a member.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member who resigns.
+	 */
+	resign(channel, member) {
+		if (!this._game.has(channel.id)) {
+			view.showError(channel, "There is no room in this channel."); return;
+		}
+
+		const room = this._game.getRoom(channel.id);
+		const player = room.players.find(player => player.type === PlayerType.HUMAN && player.id === member.id);
+		const session = this._sessions.get(channel.id);
+		try {
+			if (player !== undefined && (session === undefined || !session.waiting))
+				throw new Error("Wait for the bot to play its move.");
+			room.forfeit(player, "resign");
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		// In a game of more than two players, the others go on.
+		if (!room.isOver())
+			view.showInfo(channel, `🏳️ ${member.displayName} resigned and leaves the game.`);
+		session.next();
+	}
+
+	/**
+	 * Offer a draw to the opponent (a member), the game ends if accepted.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member who offers a draw.
+	 */
+	draw(channel, member) {
+		if (!this._game.has(channel.id)) {
+			view.showError(channel, "There is no room in this channel."); return;
+		}
+		if (this._askingDraw.includes(channel.id)) {
+			view.showError(channel, "A draw is already offered."); return;
+		}
+
+		const room = this._game.getRoom(channel.id);
+		const player = room.players.find(player => player.type === PlayerType.HUMAN && player.id === member.id);
+		if (player === undefined) {
+			view.showError(channel, "You are not a player of this game."); return;
+		}
+		if (room.players.length > 2) {
+			view.showError(channel, "A draw can only be offered in a game of two players."); return;
+		}
+		if (room.players[1].type !== PlayerType.HUMAN) {
+			view.showError(channel, "The bots never accept a draw, you can resign."); return;
+		}
+
+		const opponent = room.players.find(other => other !== player);
+		this._askingDraw.push(channel.id);
+		view.askDraw(channel, player.member, opponent.member)
+		.then(message => {
+			const filter = (reaction, user) => (reaction.emoji.name === "🤝" || reaction.emoji.name === "🙅‍♂️") && user.id === opponent.id;
+			const collector = this._collect(message, filter, {time: 30000});
+
+			collector.on("collect", r => collector.stop((r.emoji.name === "🤝")? "accepted" : "refused"));
+
+			collector.on("end", (collected, reason) => {
+				this._askingDraw.splice(this._askingDraw.indexOf(channel.id), 1);
+				view.endAskDraw(message, player.member, opponent.member, reason === "accepted");
+				const session = this._sessions.get(channel.id);
+				if (reason === "accepted" && this._game.getRoom(channel.id) === room && session !== undefined && session.waiting) {
+					room.draw();
+					session.next();
+				}
+			});
+		})
+		.catch(err => {
+			this._askingDraw.splice(this._askingDraw.indexOf(channel.id), 1);
+			view.showError(channel, "Couldn't offer the draw, retry.");
+		});
+	}
+
+	/**
+	 * Take back a move and restart the turn of the player.
+	 * 
+	 * @param {GuildChannel} channel - the channel where the room is created.
+	 * @param {Room} room - the room.
+	 * @param {Player} player - the player who takes back a move.
+	 */
+	_takeback(channel, room, player) {
+		const session = this._sessions.get(channel.id);
+		try {
+			if (session === undefined || !session.waiting)
+				throw new Error("You can't take back a move now.");
+			room.takeback(player);
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		view.showInfo(channel, `↩️ ${player.member.displayName} took back a move (${room.getTakebacksLeft(player)} takeback(s) left).`);
+		session.next();
+	}
+
+	/**
+	 * Handle the commands of the tournaments (create, join, start, cancel, or show the tournament of the channel).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member who uses the command.
+	 * @param {Array<string>} args - the arguments of the command.
+	 */
+	tournament(channel, member, args) {
+		const command = (args[0] || "").toLowerCase();
+		if (command === "create") {
+			this._createTournament(channel, member, args.slice(1)); return;
+		}
+
+		if (!this._tournaments.has(channel.id)) {
+			view.showError(channel, `There is no tournament in this channel, create one with \`${settings.get(channel.guild.id, "prefix")}tournament create\`.`); return;
+		}
+
+		const tournament = this._tournaments.get(channel.id).tournament;
+		switch (command) {
+			case "join":
+				try {
+					tournament.join(member.id);
+				}
+				catch (err) {
+					view.showError(channel, err.message); return;
+				}
+				this._updateTournament(channel);
+				break;
+			case "start":
+			case "cancel":
+				if (member.id !== tournament.creator && !member.hasPermission("MANAGE_GUILD")) {
+					view.showError(channel, "Only the creator of the tournament can do it."); return;
+				}
+				if (command === "cancel") {
+					this._stopTournament(channel);
+					view.showInfo(channel, "The tournament has been cancelled."); return;
+				}
+
+				try {
+					tournament.start();
+				}
+				catch (err) {
+					view.showError(channel, err.message); return;
+				}
+				this._nextMatch(channel);
+				break;
+			default:
+				view.showTournament(channel, tournament);
+		}
+	}
+
+	/**
+	 * Create a tournament in a channel.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} creator - the member who creates the tournament.
+	 * @param {Array<string>} args - the options of the tournament.
+	 */
+	_createTournament(channel, creator, args) {
+		if (this._tournaments.has(channel.id)) {
+			view.showError(channel, "There is already a tournament in this channel."); return;
+		}
+
+		let tournament;
+		try {
+			const tournamentOptions = options.parseTournament(args);
+			const board = new Board(tournamentOptions.room.rows, tournamentOptions.room.cols, tournamentOptions.room.connect);
+			const roomOptions = Object.assign(this._getTimeoutOptions(channel), tournamentOptions.room, {rows: board.rows, cols: board.cols, connect: board.connect});
+			Room.validate(roomOptions);
+			tournament = new Tournament(creator.id, tournamentOptions.format, tournamentOptions.size, roomOptions);
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		let entry = {tournament, message: null, room: null};
+		this._tournaments.set(channel.id, entry);
+		view.showTournament(channel, tournament)
+		.then(message => {
+			entry.message = message;
+			this._saveTournament(channel);
+		})
+		.catch(err => this._tournaments.delete(channel.id));
+	}
+
+	/**
+	 * Update the message of the tournament and save it.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the tournament.
+	 */
+	_updateTournament(channel) {
+		const entry = this._tournaments.get(channel.id);
+		if (entry.message !== null)
+			view.updateTournament(entry.message, entry.tournament);
+		this._saveTournament(channel);
+	}
+
+	/**
+	 * Save a tournament (to restore it after a restart).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the tournament.
+	 */
+	_saveTournament(channel) {
+		const entry = this._tournaments.get(channel.id);
+		if (entry !== undefined && entry.message !== null)
+			this._savedTournaments.set(channel.id, Object.assign(entry.tournament.toJSON(), {message: entry.message.id}));
+	}
+
+	/**
+	 * Stop a tournament (and its match in progress) and forget it.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the tournament.
+	 */
+	_stopTournament(channel) {
+		const entry = this._tournaments.get(channel.id);
+		this._tournaments.delete(channel.id);
+		this._savedTournaments.delete(channel.id);
+		if (entry.room !== null && this._game.getRoom(channel.id) === entry.room)
+			this._stopRoom(channel);
+	}
+
+	/**
+	 * Play the next match of a tournament (or end it).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the tournament.
+	 */
+	_nextMatch(channel) {
+		const entry = this._tournaments.get(channel.id);
+		if (entry === undefined)
+			return;
+
+		const tournament = entry.tournament;
+		this._updateTournament(channel);
+
+		const match = tournament.getNextMatch();
+		if (match === null) {
+			view.showTournamentWinner(channel, tournament);
+			this._tournaments.delete(channel.id);
+			this._savedTournaments.delete(channel.id);
+			return;
+		}
+
+		const a = tournament.participants[match.a];
+		const b = tournament.participants[match.b];
+
+		// Two bots play without a board.
+		if (a.type !== PlayerType.HUMAN && b.type !== PlayerType.HUMAN) {
+			new BotMatch([a.type, b.type], tournament.options).play()
+			.then(result => {
+				if (this._tournaments.get(channel.id) !== entry)
+					return;
+				tournament.report(match.index, (result.winner === null)? null : [match.a, match.b][result.winner]);
+				view.showMatchResult(channel, tournament, match.index);
+				this._nextMatch(channel);
+			})
+			.catch(err => {
+				if (this._tournaments.get(channel.id) === entry) {
+					view.showError(channel, "A problem happend, the tournament is cancelled.");
+					this._stopTournament(channel);
+				}
+			});
+			return;
+		}
+
+		// The channel is busy, the match starts at the end of its game.
+		if (this._game.has(channel.id) || this._asking.includes(channel.id)) {
+			view.showInfo(channel, "The next match of the tournament starts at the end of the game in progress.");
+			return;
+		}
+
+		// The first player of the room is a member.
+		const [first, second] = (a.type === PlayerType.HUMAN)? [a, b] : [b, a];
+		Promise.all([
+			channel.guild.members.fetch(first.id),
+			(second.type === PlayerType.HUMAN)? channel.guild.members.fetch(second.id) : null
+		])
+		.then(([firstMember, secondMember]) => {
+			if (this._tournaments.get(channel.id) !== entry || this._game.has(channel.id))
+				return;
+
+			this._game.newRoom(channel.id, firstMember, secondMember, second.type, tournament.options);
+			entry.room = this._game.getRoom(channel.id);
+			view.showMatch(channel, tournament, match.index);
+			this._startRoom(channel, entry.room);
+		})
+		.catch(err => {
+			view.showError(channel, "A player of the match has left the server, the tournament is cancelled.");
+			this._stopTournament(channel);
+		});
+	}
+
+	/**
+	 * Report the result of a game to the tournament of the channel.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the game.
+	 * @param {Room} room - the room of the game (over).
+	 */
+	_endMatch(channel, room) {
+		const entry = this._tournaments.get(channel.id);
+		if (entry === undefined || !entry.tournament.started)
+			return;
+
+		// Another game was played before the match.
+		if (entry.room !== room) {
+			if (entry.room === null)
+				this._nextMatch(channel);
+			return;
+		}
+
+		const tournament = entry.tournament;
+		const match = tournament.getNextMatch();
+		const winner = room.getWinner();
+		let seed = null;
+		if (winner !== null) {
+			const a = tournament.participants[match.a];
+			seed = ((winner.type === PlayerType.HUMAN)? a.id === winner.id : a.type === winner.type)? match.a : match.b;
+		}
+
+		entry.room = null;
+		tournament.report(match.index, seed);
+		view.showMatchResult(channel, tournament, match.index);
+		this._nextMatch(channel);
+	}
+
+	/**
+	 * The room is the next match of the tournament.
+	 * 
+	 * @param {Tournament} tournament - the tournament.
+	 * @param {Room} room - the room.
+	 * @returns {boolean} - true if the players of the room are the players of the match.
+	 */
+	_isMatchRoom(tournament, room) {
+		const match = tournament.getNextMatch();
+		if (match === null)
+			return false;
+
+		const participants = [tournament.participants[match.a], tournament.participants[match.b]];
+		return room.players.every(player => participants.some(participant => (player.type === PlayerType.HUMAN)? participant.id === player.id : participant.type === player.type));
+	}
+
+	/**
+	 * Send the best move to the current player in private (the hint is only counted once sent).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member who asks a hint.
+	 */
+	hint(channel, member) {
+		if (!this._game.has(channel.id)) {
+			view.showError(channel, "There is no room in this channel."); return;
+		}
+
+		const room = this._game.getRoom(channel.id);
+		// The games between members are ranked.
+		if (room.players[1].type === PlayerType.HUMAN && !settings.get(channel.guild.id, "rankedHints")) {
+			view.showError(channel, "The hints are disabled in the games between members of this server."); return;
+		}
+
+		if (this._askingHint.includes(channel.id)) {
+			view.showError(channel, "A hint is already searched."); return;
+		}
+
+		const player = room.players.find(player => player.type === PlayerType.HUMAN && player.id === member.id);
+		let hint;
+		try {
+			hint = room.getHint(player);
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		this._askingHint.push(channel.id);
+		hint.then(({pos, type, reason}) => {
+			// The player has played in the meantime, the hint is not sent (nor counted).
+			if (this._game.getRoom(channel.id) !== room || room.currentPlayer !== player)
+				return;
+
+			return view.sendHint(member, pos, type, reason, room.getHintsLeft(player)-1)
+			.then(() => {
+				room.useHint(player);
+				view.showInfo(channel, `💡 ${member.displayName} asked a hint (${room.getHintsLeft(player)} hint(s) left).`);
+			})
+			.catch(err => view.showError(channel, "I couldn't send you the hint, allow the private messages from the members of this server."));
+		})
+		.catch(err => view.showError(channel, "Couldn't find a hint, retry."))
+		.then(() => this._askingHint.splice(this._askingHint.indexOf(channel.id), 1));
+	}
+
+	/**
+	 * Allow or forbid the hints in the games between members (Manage Server permission).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member who changes the setting.
+	 * @param {Array<string>} args - the arguments of the command ("on" or "off").
+	 */
+	hints(channel, member, args) {
+		if (!member.hasPermission("MANAGE_GUILD")) {
+			view.showError(channel, "You need the Manage Server permission."); return;
+		}
+
+		const value = (args[0] || "").toLowerCase();
+		if (value !== "on" && value !== "off") {
+			view.showError(channel, `Use \`${settings.get(channel.guild.id, "prefix")}hints on\` or \`${settings.get(channel.guild.id, "prefix")}hints off\`.`); return;
+		}
+
+		settings.set(channel.guild.id, "rankedHints", value === "on");
+		view.showInfo(channel, `The hints are now ${(value === "on")? "allowed" : "forbidden"} in the games between members.`);
+	}
+
+	/**
+	 * Show or change the settings of the guild (Manage Server permission).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member who uses the command.
+	 * @param {Array<string>} args - the arguments of the command (get, set or reset, the setting, then the value).
+	 */
+	config(channel, member, args) {
+		if (!member.hasPermission("MANAGE_GUILD")) {
+			view.showError(channel, "You need the Manage Server permission."); return;
+		}
+
+		const command = (args[0] || "get").toLowerCase();
+		try {
+			// The names of the settings are case insensitive.
+			let key = null;
+			if (args[1] !== undefined && args[1] !== "") {
+				key = settings.keys.find(other => other.toLowerCase() === args[1].toLowerCase());
+				if (key === undefined)
+					throw new Error(`Unknown setting \`${args[1]}\`, the settings are ${settings.keys.map(other => `\`${other}\``).join(", ")}.`);
+			}
+
+			switch (command) {
+				case "get":
+					view.showConfig(channel, (key === null)? settings.keys : [key]);
+					break;
+				case "set":
+					if (key === null)
+						throw new Error(`Use \`${settings.get(channel.guild.id, "prefix")}config set setting value\`.`);
+					settings.set(channel.guild.id, key, settings.parse(key, args.slice(2).filter(arg => arg !== "")));
+					view.showConfig(channel, [key]);
+					break;
+				case "reset":
+					settings.reset(channel.guild.id, key);
+					view.showConfig(channel, (key === null)? settings.keys : [key]);
+					break;
+				default:
+					throw new Error(`Use \`${settings.get(channel.guild.id, "prefix")}config get\`, \`set\` or \`reset\`.`);
+			}
+		}
+		catch (err) {
+			view.showError(channel, err.message);
+		}
+	}
+
+	/**
+	 * Analyze a game (the last game finished in the channel by default).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {Array<string>} args - the arguments of the command (the moves, then the options of the board).
+	 */
+	analyze(channel, args) {
+		if (args.length > 0 && args[0] !== "") {
+			let roomOptions;
+			try {
+				roomOptions = options.parseRoom(args.slice(1));
+			}
+			catch (err) {
+				view.showError(channel, err.message); return;
+			}
+			this._analyze(channel, args[0], roomOptions);
+		}
+		else if (this._lastGames.has(channel.id))
+			this._analyze(channel, this._lastGames.get(channel.id).moves, this._lastGames.get(channel.id).options);
+		else
+			view.showError(channel, `There is no finished game in this channel, give the moves to analyze (e.g. \`${settings.get(channel.guild.id, "prefix")}analyze 4453377\`).`);
+	}
+
+	/**
+	 * Analyze a game in a worker and show the report.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {string} moves - the moves of the game in column notation.
+	 * @param {Object} roomOptions - the options of the board.
+	 */
+	_analyze(channel, moves, roomOptions) {
+		if (this._analyzing.includes(channel.id)) {
+			view.showError(channel, "A game is already analyzed in this channel."); return;
+		}
+		if (roomOptions.popout) {
+			view.showError(channel, "Only the games with the classic rules can be analyzed, not PopOut."); return;
+		}
+
+		let replay;
+		try {
+			replay = new Replay(moves, roomOptions);
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		this._analyzing.push(channel.id);
+		Promise.all([view.showAnalyzing(channel), pool.analyze(moves, roomOptions)])
+		.then(([message, analysis]) => view.updateAnalysis(message, replay, analysis))
+		.catch(err => view.showError(channel, "A problem happend, the game couldn't be analyzed."))
+		.finally(() => this._analyzing.splice(this._analyzing.indexOf(channel.id), 1));
+	}
+
+	/**
+	 * Replay a game move by move (anyone can step through it with the reactions).
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {Array<string>} args - the arguments of the command (the moves, then the options of the board).
+	 */
+	replay(channel, args) {
+		let replay;
+		try {
+			replay = new Replay(args[0] || "", options.parseRoom(args.slice(1)));
+		}
+		catch (err) {
+			view.showError(channel, err.message); return;
+		}
+
+		let index = replay.length;
+		view.showReplay(channel, replay, index).then(message => {
+			const filter = (reaction, user) => ["◀️", "▶️"].includes(reaction.emoji.name) && !user.bot;
+			const collector = this._collect(message, filter, { time: 300000 });
+
+			collector.on("collect", (reaction, user) => {
+				reaction.users.remove(user).catch(() => {});
+				const next = (reaction.emoji.name === "◀️")? index-1 : index+1;
+				if (next < 0 || next > replay.length)
+					return;
+
+				index = next;
+				// The message was deleted (or can't be edited anymore).
+				view.updateReplay(message, replay, index).catch(err => collector.stop());
+			});
+		})
+		.catch(err => view.showError(channel, "Couldn't show the replay, retry."));
+	}
+
+	/**
+	 * Show the statistics of a member.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {GuildMember} member - the member.
+	 */
+	stats(channel, member) {
+		view.showStats(channel, member, this._stats.getMember(channel.guild.id, member.id));
+	}
+
+	/**
+	 * Show the best members of the guild.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the command.
+	 * @param {Array<string>} args - the arguments of the command ("week" for the weekly ladder).
+	 */
+	leaderboard(channel, args) {
+		if (args.length > 0 && args[0].toLowerCase() === "week")
+			view.showLeaderboard(channel, this._stats.getWeekly(channel.guild.id, 10), true);
+		else
+			view.showLeaderboard(channel, this._stats.getLeaderboard(channel.guild.id, 10), false);
+	}
+
 	/**
 	 * Show a help message.
 	 * 
@@ -0,0 +1,201 @@
+const controller = require("./Controller");
+const settings = require("../model/Settings");
+const registry = require("../bots/Registry");
+
+// The types of the interactions, of the options of the commands and of the responses.
+const COMMAND = 2;
+const BUTTON = 3;
+const STRING = 3;
+const INTEGER = 4;
+const BOOLEAN = 5;
+const USER = 6;
+const MESSAGE = 4;
+const DEFERRED_UPDATE = 6;
+// Only seen by the member.
+const EPHEMERAL = 64;
+
+// The choices of the bots.
+const BOTS = registry.names.map(name => ({name, value: name}));
+
+// The commands of the application (the other commands are written in the channels).
+const COMMANDS = [
+	{name: "connect4", description: "Start a game against a bot or a member.", options: [
+		{type: USER, name: "opponent", description: "The member to play against (a bot by default)."},
+		{type: USER, name: "opponent2", description: "Another member, for a game of 3 or 4 players."},
+		{type: USER, name: "opponent3", description: "Another member, for a game of 4 players."},
+		{type: STRING, name: "difficulty", description: "The bot to play against (against members, it plays too).", choices: BOTS},
+		{type: STRING, name: "size", description: "The size of the board, COLSxROWS (e.g. 8x7)."},
+		{type: INTEGER, name: "connect", description: "The number of squares to connect."},
+		{type: BOOLEAN, name: "popout", description: "Play PopOut (the squares can be popped out of the bottom)."},
+		{type: INTEGER, name: "bo", description: "The number of games of a series."}
+	]},
+	{name: "botmatch", description: "Watch two bots play against each other.", options: [
+		{type: STRING, name: "first", description: "The bot who starts.", required: true, choices: BOTS},
+		{type: STRING, name: "second", description: "The other bot.", required: true, choices: BOTS},
+		{type: STRING, name: "size", description: "The size of the board, COLSxROWS (e.g. 8x7)."},
+		{type: INTEGER, name: "connect", description: "The number of squares to connect."},
+		{type: BOOLEAN, name: "popout", description: "Play PopOut (the squares can be popped out of the bottom)."}
+	]},
+	{name: "play", description: "Play in a column.", options: [
+		{type: INTEGER, name: "column", description: "The column (from 1).", required: true},
+		{type: BOOLEAN, name: "pop", description: "Pop your square out of the bottom of the column (PopOut)."}
+	]},
+	{name: "stop", description: "Stop the game (without result)."},
+	{name: "resign", description: "Resign (you lose the game)."},
+	{name: "draw", description: "Offer a draw to your opponent."},
+	{name: "undo", description: "Take back your last move."},
+	{name: "hint", description: "Receive the best move in private."},
+	{name: "analyze", description: "Find the blunders and the missed wins of a game.", options: [
+		{type: STRING, name: "moves", description: "The moves in column notation (the last game of the channel by default)."}
+	]},
+	{name: "replay", description: "Replay a game written in column notation.", options: [
+		{type: STRING, name: "moves", description: "The moves (e.g. 4453377).", required: true}
+	]},
+	{name: "stats", description: "Show the statistics of a member.", options: [
+		{type: USER, name: "member", description: "The member (you by default)."}
+	]},
+	{name: "leaderboard", description: "Show the best members of the server.", options: [
+		{type: BOOLEAN, name: "week", description: "Only the games of the week."}
+	]},
+	{name: "help", description: "Show the commands."}
+];
+
+/**
+ * The front end of the application commands (/connect4) and of the buttons,
+ * received from the gateway (discord.js doesn't handle the interactions).
+ */
+class Interactions {
+
+	/**
+	 * Register the commands of the application.
+	 * 
+	 * @param {Client} client - the client of the bot.
+	 * @returns {Promise} - when registered.
+	 */
+	register(client) {
+		return client.api.applications(client.user.id).commands.put({data: COMMANDS})
+		.catch(err => console.error("Couldn't register the commands of the application."));
+	}
+
+	/**
+	 * Handle an interaction.
+	 * 
+	 * @param {Client} client - the client of the bot.
+	 * @param {Object} interaction - the data of the interaction.
+	 */
+	handle(client, interaction) {
+		if (interaction.guild_id === undefined) {
+			this._respond(client, interaction, "The commands only work in a server.");
+			return;
+		}
+
+		const channels = settings.get(interaction.guild_id, "channels");
+		if (channels.length > 0 && !channels.includes(interaction.channel_id)) {
+			this._respond(client, interaction, "The commands are not allowed in this channel.");
+			return;
+		}
+
+		if (interaction.type === COMMAND)
+			this._command(client, interaction);
+		else if (interaction.type === BUTTON)
+			this._click(client, interaction);
+	}
+
+	/**
+	 * Run a command of the application, as the command written in the channel.
+	 * 
+	 * @param {Client} client - the client of the bot.
+	 * @param {Object} interaction - the data of the interaction.
+	 */
+	_command(client, interaction) {
+		let options = {};
+		(interaction.data.options || []).forEach(option => options[option.name] = option.value);
+		const guild = client.guilds.cache.get(interaction.guild_id);
+
+		this._respond(client, interaction, `👌 \`/${interaction.data.name}\``);
+		Promise.all([
+			client.channels.fetch(interaction.channel_id),
+			guild.members.fetch(interaction.member.user.id),
+			(options.opponent || options.member) ? guild.members.fetch(options.opponent || options.member) : undefined,
+			Promise.all(["opponent", "opponent2", "opponent3"].filter(name => options[name] !== undefined).map(name => guild.members.fetch(options[name])))
+		])
+		.then(([channel, member, other, opponents]) => {
+			switch (interaction.data.name) {
+				case "connect4":
+					let args = [];
+					["size", "connect", "bo"].filter(name => options[name] !== undefined).forEach(name => args.push(`--${name}`, `${options[name]}`));
+					if (options.difficulty !== undefined)
+						args.push("--bot", options.difficulty);
+					if (options.popout)
+						args.push("--popout");
+					controller.newRoom(channel, member, opponents, args);
+					break;
+				case "botmatch":
+					controller.botMatch(channel, [options.first, options.second].concat(...["size", "connect"].filter(name => options[name] !== undefined).map(name => [`--${name}`, `${options[name]}`]), options.popout? ["--popout"] : []));
+					break;
+				case "play":
+					controller.playColumn(channel, member.user, `${options.pop? "p" : ""}${options.column}`, true);
+					break;
+				case "stop":
+					controller.stop(channel);
+					break;
+				case "resign":
+					controller.resign(channel, member);
+					break;
+				case "draw":
+					controller.draw(channel, member);
+					break;
+				case "undo":
+					controller.undo(channel, member);
+					break;
+				case "hint":
+					controller.hint(channel, member);
+					break;
+				case "analyze":
+					controller.analyze(channel, (options.moves === undefined)? [] : options.moves.split(" "));
+					break;
+				case "replay":
+					controller.replay(channel, options.moves.split(" "));
+					break;
+				case "stats":
+					controller.stats(channel, other || member);
+					break;
+				case "leaderboard":
+					controller.leaderboard(channel, options.week? ["week"] : []);
+					break;
+				case "help":
+					controller.help(channel, client.user);
+					break;
+			}
+		})
+		.catch(err => console.error(`Couldn't run the command /${interaction.data.name}.`));
+	}
+
+	/**
+	 * A member clicks a button, as if the member reacted with its emoji.
+	 * 
+	 * @param {Client} client - the client of the bot.
+	 * @param {Object} interaction - the data of the interaction.
+	 */
+	_click(client, interaction) {
+		// The message is updated by the controller.
+		client.api.interactions(interaction.id, interaction.token).callback.post({data: {type: DEFERRED_UPDATE}})
+		.catch(err => {});
+
+		controller.click(interaction.message.id, client.users.add(interaction.member.user), interaction.data.custom_id);
+	}
+
+	/**
+	 * Respond to an interaction with a message only seen by the member.
+	 * 
+	 * @param {Client} client - the client of the bot.
+	 * @param {Object} interaction - the data of the interaction.
+	 * @param {string} content - the message.
+	 */
+	_respond(client, interaction, content) {
+		client.api.interactions(interaction.id, interaction.token).callback.post({data: {type: MESSAGE, data: {content, flags: EPHEMERAL}}})
+		.catch(err => {});
+	}
+}
+
+module.exports = new Interactions();
\ No newline at end of file
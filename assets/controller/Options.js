@@ -0,0 +1,102 @@
+const TimeoutPolicy = require("../model/TimeoutPolicy");
+
+/**
+ * A parser of the options given to a command.
+ */
+class Options {
+
+	/**
+	 * Parse the options of a new room.
+	 * 
+	 * @param {Array<string>} args - the arguments of the command.
+	 * @throws {Error} - if an option is invalid.
+	 * @returns {Object} - the options of the room ({rows, cols, connect, popout, takebacks, hints, timeout, forfeitAfter, bestOf, difficulty}).
+	 */
+	parseRoom(args) {
+		let options = {};
+
+		for (let i=0; i < args.length; i++) {
+			switch (args[i].toLowerCase()) {
+				case "--size":
+					const size = /^(\d+)x(\d+)$/i.exec(args[++i] || "");
+					if (size === null)
+						throw new Error("The size must be written as COLSxROWS (e.g. `--size 7x6`).");
+					options.cols = parseInt(size[1]);
+					options.rows = parseInt(size[2]);
+					break;
+				case "--connect":
+					options.connect = this._parseNumber(args[++i], "--connect");
+					break;
+				case "--popout":
+					options.popout = true;
+					break;
+				case "--takebacks":
+					options.takebacks = this._parseNumber(args[++i], "--takebacks");
+					break;
+				case "--hints":
+					options.hints = this._parseNumber(args[++i], "--hints");
+					break;
+				case "--timeout":
+					options.timeout = (args[++i] || "").toLowerCase();
+					break;
+				case "--forfeit":
+					options.timeout = TimeoutPolicy.FORFEIT;
+					options.forfeitAfter = this._parseNumber(args[++i], "--forfeit");
+					break;
+				case "--bot":
+					options.difficulty = (args[++i] || "").toLowerCase();
+					break;
+				case "--bo":
+					options.bestOf = this._parseNumber(args[++i], "--bo");
+					break;
+			}
+		}
+
+		return options;
+	}
+
+	/**
+	 * Parse the options of a new tournament.
+	 * 
+	 * @param {Array<string>} args - the arguments of the command.
+	 * @throws {Error} - if an option is invalid.
+	 * @returns {Object} - the format, the number of players and the options of the rooms ({format, size, room}).
+	 */
+	parseTournament(args) {
+		let options = {room: this.parseRoom(args)};
+
+		for (let i=0; i < args.length; i++) {
+			switch (args[i].toLowerCase()) {
+				case "elimination":
+				case "elim":
+					options.format = "elimination";
+					break;
+				case "roundrobin":
+				case "rr":
+					options.format = "roundrobin";
+					break;
+				case "--players":
+					options.size = this._parseNumber(args[++i], "--players");
+					break;
+			}
+		}
+
+		return options;
+	}
+
+	/**
+	 * Parse the value of a numeric option.
+	 * 
+	 * @param {string} value - the value.
+	 * @param {string} name - the name of the option.
+	 * @throws {Error} - if the value is not a number.
+	 * @returns {number} - the number.
+	 */
+	_parseNumber(value, name) {
+		if (value === undefined || !/^\d+$/.test(value))
+			throw new Error(`The option \`${name}\` needs a number.`);
+		return parseInt(value);
+	}
+}
+
+module.exports = new Options();
\ No newline at end of file
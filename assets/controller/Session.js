@@ -0,0 +1,247 @@
+const EventEmitter = require("events");
+const PlayerType = require("../model/PlayerType");
+const MoveType = require("../model/MoveType");
+
+/**
+ * A game played through a transport: the board is sent, the members play
+ * when it's their turn (the timeout policy applies if they don't), the bots
+ * play their moves, until the game is over. It emits "turn" (the board shown)
+ * at each turn, "over" when the game is over and "error" if a bot fails.
+ */
+module.exports = class Session extends EventEmitter {
+
+	/**
+	 * Initialize the session.
+	 * 
+	 * @param {Transport} transport - the transport of the game.
+	 * @param {Room} room - the room.
+	 * @param {Object} options - the options of the session ({series: the series of the room, turnTimeout: the time to play in s,
+	 * moveDelay: the time before each move of a bot in s, 0 by default}).
+	 */
+	constructor(transport, room, options = {}) {
+		super();
+		this._transport = transport;
+		this._room = room;
+		this._series = options.series || null;
+		this._turnTimeout = options.turnTimeout;
+		this._moveDelay = options.moveDelay || 0;
+		this._board = null;
+		// The move awaited (null if none).
+		this._turn = null;
+		// The timer of the next move of a bot (null if none).
+		this._delay = null;
+		this._stopped = false;
+	}
+
+	/**
+	 * Get the transport.
+	 * 
+	 * @returns {Transport} - the transport of the game.
+	 */
+	get transport() {
+		return this._transport;
+	}
+
+	/**
+	 * Get the room.
+	 * 
+	 * @returns {Room} - the room.
+	 */
+	get room() {
+		return this._room;
+	}
+
+	/**
+	 * Get the series.
+	 * 
+	 * @returns {Series} - the series of the room (null if none).
+	 */
+	get series() {
+		return this._series;
+	}
+
+	/**
+	 * The session waits for the move of a member.
+	 * 
+	 * @returns {boolean} - true if waiting.
+	 */
+	get waiting() {
+		return this._turn !== null;
+	}
+
+	/**
+	 * Show the board and start the game.
+	 * 
+	 * @param {Object} board - the board already shown (after a restart, null to send it).
+	 */
+	start(board = null) {
+		if (board !== null) {
+			this._board = board;
+			this.next(); return;
+		}
+
+		const sent = this._transport.sendBoard(this._room, this._series);
+		sent.then(board => {
+			this._board = board;
+			this.emit("turn", board);
+		})
+		// Without the board, no move can be played.
+		.catch(err => this._fail(err));
+
+		// The bot starts.
+		if (this._room.currentPlayer.type !== PlayerType.HUMAN)
+			sent.then(() => this.next()).catch(err => {});
+		else
+			this._awaitMove(sent);
+	}
+
+	/**
+	 * Play a move of the member who has to play.
+	 * 
+	 * @param {number} pos - the column (from 0).
+	 * @param {MoveType} type - a square dropped, or popped (PopOut).
+	 * @returns {boolean} - true if played (false if no move is awaited or the move is invalid).
+	 */
+	play(pos, type = MoveType.DROP) {
+		if (this._turn === null)
+			return false;
+
+		let played;
+		try {
+			played = this._room.play(pos, type);
+		}
+		catch (err) {
+			// The turn goes on, the player can play another move.
+			return false;
+		}
+
+		this._turn.stop("stopped");
+		played.then(() => this.next())
+		.catch(err => this._fail(err));
+		return true;
+	}
+
+	/**
+	 * Go to the next turn (or end the game), after a move or a change of the room (a takeback, a resignation...).
+	 */
+	next() {
+		if (this._stopped)
+			return;
+		if (this._turn !== null)
+			this._turn.stop("stopped");
+
+		if (this._room.isOver()) {
+			this._stopped = true;
+			// The result is already decided, a board which can't be updated doesn't change it.
+			this._transport.updateBoard(this._board, this._room, this._series).catch(err => {});
+			this.emit("over", this._room);
+			return;
+		}
+
+		this.emit("turn", this._board);
+
+		// Bot's turn, the board shows that it's thinking until its move arrives
+		// (after the delay, so the move of the other player can be seen).
+		if (this._room.currentPlayer.type !== PlayerType.HUMAN) {
+			if (this._moveDelay > 0)
+				this._delay = setTimeout(() => this._playBot(), this._moveDelay*1000);
+			else
+				this._playBot();
+			this._transport.updateBoard(this._board, this._room, this._series).catch(err => this._fail(err));
+		}
+		else
+			this._awaitMove(this._transport.updateBoard(this._board, this._room, this._series));
+	}
+
+	/**
+	 * Stop the session (the room is not changed).
+	 */
+	stop() {
+		this._stopped = true;
+		clearTimeout(this._delay);
+		if (this._turn !== null)
+			this._turn.stop("stopped");
+	}
+
+	/**
+	 * Play the move of the bot (the current player).
+	 */
+	_playBot() {
+		this._delay = null;
+		if (this._stopped)
+			return;
+
+		this._room.playBot()
+		.then(() => this.next())
+		.catch(err => this._fail(err));
+	}
+
+	/**
+	 * Stop the session after a problem (the game can't go on).
+	 * 
+	 * @param {Error} err - the problem.
+	 */
+	_fail(err) {
+		if (this._stopped)
+			return;
+
+		this._transport.showError("A problem happend, restart the game !");
+		this.stop();
+		this.emit("error", err);
+	}
+
+	/**
+	 * Wait for the move of the current player (a member).
+	 * 
+	 * @param {Promise<Object>} board - the board shown.
+	 * @param {boolean} paused - true if the game waits for the move without a timeout.
+	 */
+	_awaitMove(board, paused = false) {
+		board.then(board => {
+			if (this._stopped)
+				return;
+
+			const timeout = this._turnTimeout;
+			const player = this._room.currentPlayer;
+			const turn = this._transport.awaitMove(board, this._room, paused? null : timeout);
+			this._turn = turn;
+
+			// Warn the player before the deadline (at half time and 10 seconds before).
+			let warnings = [];
+			const timers = paused? [] : [...new Set([Math.floor(timeout/2), 10])].filter(left => left > 0 && left < timeout).map(left => setTimeout(() => {
+				warnings.push(this._transport.warnTurn(player, left));
+			}, (timeout-left)*1000));
+
+			turn.on("move", (pos, type) => this.play(pos, type));
+
+			turn.on("end", reason => {
+				timers.forEach(timer => clearTimeout(timer));
+				warnings.forEach(warning => warning.then(warning => this._transport.removeWarning(warning)).catch(err => {}));
+				if (this._turn === turn)
+					this._turn = null;
+
+				if (reason !== "stopped" && !this._stopped)
+					this._timeOut(board, player);
+			});
+		})
+		.catch(err => this._fail(err));
+	}
+
+	/**
+	 * Apply the timeout policy of the room to a player who didn't play in time.
+	 * 
+	 * @param {Object} board - the board shown.
+	 * @param {Player} player - the player who didn't play.
+	 */
+	_timeOut(board, player) {
+		this._room.timeOut()
+		.then(action => {
+			this._transport.announceTimeout(this._room, player, action);
+			if (action === "pause")
+				this._awaitMove(Promise.resolve(board), true);
+			else
+				this.next();
+		})
+		.catch(err => this._fail(err));
+	}
+}
\ No newline at end of file
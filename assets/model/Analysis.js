@@ -0,0 +1,69 @@
+const SquareType = require("./SquareType");
+const Search = require("./Search");
+const Solver = require("./Solver");
+
+/**
+ * The analysis of a game: every move is scored by the solver to find the
+ * blunders, the missed forced wins and the move which decided the game.
+ */
+module.exports = class Analysis {
+
+	/**
+	 * Analyze a game.
+	 * 
+	 * @param {Replay} replay - the replay of the game.
+	 * @param {number} budget - the time budget of the search of each move (ms).
+	 * @param {number} tableSize - the maximum number of positions kept in the table.
+	 */
+	constructor(replay, budget, tableSize) {
+		const search = new Search(SquareType.BLUE, SquareType.RED);
+		const solver = new Solver((position, type) => search.getScore(position, type), budget, tableSize);
+		const winner = replay.getWinner();
+
+		this._winner = winner;
+		this._moves = [];
+		// The score of the position after each move, for the winner.
+		let values = [];
+
+		for (let i=0; i < replay.length; i++) {
+			const me = (i%2 === 0)? SquareType.BLUE : SquareType.RED;
+			const opponent = (me === SquareType.BLUE)? SquareType.RED : SquareType.BLUE;
+			const scores = solver.getScores(replay.getBoard(i).toPosition(), me, opponent);
+
+			const pos = replay.getMove(i);
+			const best = scores.reduce((best, score, col) => (score !== null && (best === -1 || score > scores[best]))? col : best, -1);
+
+			let mark = null;
+			if (Solver.isWin(scores[best]) && !Solver.isWin(scores[pos]))
+				mark = "missedWin";
+			else if (!Solver.isLoss(scores[best]) && Solver.isLoss(scores[pos]))
+				mark = "blunder";
+			else if (scores[pos] === scores[best])
+				mark = "best";
+
+			this._moves.push({pos, best, mark});
+			values.push((me === winner)? scores[pos] : -scores[pos]);
+		}
+
+		// Decided by the first move after which the winner always has a forced win.
+		this._decided = null;
+		if (winner !== null) {
+			for (let i=values.length-1; i >= 0 && Solver.isWin(values[i]); i--)
+				this._decided = i;
+		}
+	}
+
+	/**
+	 * Get the data of the analysis (used to send it).
+	 * 
+	 * @returns {Object} - the moves, the index of the move which decided the game (null if none) and the winner
+	 * ({moves: [{pos, best, mark: "best", "blunder", "missedWin" or null}], decided, winner}).
+	 */
+	toJSON() {
+		return {
+			moves: this._moves,
+			decided: this._decided,
+			winner: this._winner
+		};
+	}
+}
\ No newline at end of file
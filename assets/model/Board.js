@@ -1,5 +1,13 @@
 const Square = require("./Square");
 const SquareType = require("./SquareType");
+const Position = require("./Position");
+
+const DEFAULT_ROWS = 6;
+const DEFAULT_COLS = 7;
+const DEFAULT_CONNECT = 4;
+const MIN_SIZE = 4;
+const MAX_SIZE = 9;
+const MIN_CONNECT = 3;
 
 /**
  * A board of the game.
@@ -8,12 +16,22 @@ module.exports = class Board {
 
 	/**
 	 * Initialize the board.
+	 * 
+	 * @param {number} rows - the number of rows (6 by default).
+	 * @param {number} cols - the number of columns (7 by default).
+	 * @param {number} connect - the number of aligned squares to win (4 by default).
+	 * @param {boolean} popout - true to play PopOut (a player can also pop a square out of the bottom of a column).
+	 * @throws {Error} - if one of the params is invalid.
 	 */
-	constructor() {
-		this._rows = 6;
-		this._cols = 7;
+	constructor(rows = DEFAULT_ROWS, cols = DEFAULT_COLS, connect = DEFAULT_CONNECT, popout = false) {
+		Board.validate(rows, cols, connect);
 
-		// [[COL_0], [COL_1], [COL_2], ..., [COL_6]]
+		this._rows = rows;
+		this._cols = cols;
+		this._connect = connect;
+		this._popout = popout;
+
+		// [[COL_0], [COL_1], [COL_2], ..., [COL_N]]
 		this._squares = [];
 		for (let x=0; x < this._cols; x++) {
 			let col = [];
@@ -24,6 +42,23 @@ module.exports = class Board {
 		}
 	}
 
+	/**
+	 * Check the size of a board.
+	 * 
+	 * @param {number} rows - the number of rows (6 by default).
+	 * @param {number} cols - the number of columns (7 by default).
+	 * @param {number} connect - the number of aligned squares to win (4 by default).
+	 * @throws {Error} - if one of the params is invalid.
+	 */
+	static validate(rows = DEFAULT_ROWS, cols = DEFAULT_COLS, connect = DEFAULT_CONNECT) {
+		if (!Number.isInteger(rows) || rows < MIN_SIZE || rows > MAX_SIZE)
+			throw new Error(`The board must have between ${MIN_SIZE} and ${MAX_SIZE} rows.`);
+		if (!Number.isInteger(cols) || cols < MIN_SIZE || cols > MAX_SIZE)
+			throw new Error(`The board must have between ${MIN_SIZE} and ${MAX_SIZE} columns.`);
+		if (!Number.isInteger(connect) || connect < MIN_CONNECT || connect > Math.max(rows, cols))
+			throw new Error(`The number of squares to connect must be between ${MIN_CONNECT} and ${Math.max(rows, cols)}.`);
+	}
+
 	/**
 	 * Get the number of rows of the board.
 	 * 
@@ -42,11 +77,29 @@ module.exports = class Board {
 		return this._cols;
 	}
 
+	/**
+	 * Get the number of aligned squares needed to win.
+	 * 
+	 * @returns {number} - the number of squares to connect.
+	 */
+	get connect() {
+		return this._connect;
+	}
+
+	/**
+	 * The board is played with the rules of PopOut.
+	 * 
+	 * @returns {boolean} - true if the squares can be popped out.
+	 */
+	get popout() {
+		return this._popout;
+	}
+
 	/**
 	 * Set a square's type.
 	 * 
-	 * @param {number} x - the x pos of a square (0 to 6).
-	 * @param {number} y - the y pos of a square (0 to 5).
+	 * @param {number} x - the x pos of a square (0 to cols-1).
+	 * @param {number} y - the y pos of a square (0 to rows-1).
 	 * @param {SquareType} type - the type of the square.
 	 * @throws {Error} - if one of the params is invalid.
 	 * @throws {Error} - if the square is not empty.
@@ -60,7 +113,7 @@ module.exports = class Board {
 			throw new Error("Cannot set the value of a square as empty.");
 		if (!this._squares[x][y].isEmpty())
 			throw new Error("The square is not empty.");
-		if (type !== SquareType.RED && type !== SquareType.BLUE)
+		if (!Object.values(SquareType).includes(type))
 			throw new Error("Invalid type of square.");
 
 		this._squares[x][y].setType(type);
@@ -69,8 +122,8 @@ module.exports = class Board {
 	/**
 	 * Get a square.
 	 * 
-	 * @param {number} x - the x pos of a square (0 to 6).
-	 * @param {number} y - the y pos of a square (0 to 5).
+	 * @param {number} x - the x pos of a square (0 to cols-1).
+	 * @param {number} y - the y pos of a square (0 to rows-1).
 	 * @throws {Error} - if one of the params is invalid.
 	 * @returns {Square} - the square.
 	 */
@@ -116,6 +169,37 @@ module.exports = class Board {
 		return false;
 	}
 
+	/**
+	 * A player can pop the bottom square of the column (in PopOut, the square must be the player's).
+	 * 
+	 * @param {number} col - the column.
+	 * @param {SquareType} type - the type of square of the player.
+	 * @throws {Error} - if the column is invalid.
+	 * @returns {boolean} - true if the square can be popped.
+	 */
+	canPop(col, type) {
+		if (isNaN(col) || col < 0 || col >= this._cols) 
+			throw new Error("Column invalid.");
+
+		return this._popout && this._squares[col][this._rows-1].type === type;
+	}
+
+	/**
+	 * Get all the moves of a player: the free columns, then (in PopOut) the columns
+	 * where the player can pop, written ~col (a negative number, as in Position).
+	 * 
+	 * @param {SquareType} type - the type of square of the player.
+	 * @returns {Array<number>} - the moves.
+	 */
+	getMoves(type) {
+		let moves = this.getFree();
+		for (let x=0; x < this._cols; x++) {
+			if (this.canPop(x, type))
+				moves.push(~x);
+		}
+		return moves;
+	}
+
 	/**
 	 * Get the first free square of the column.
 	 * 
@@ -136,13 +220,75 @@ module.exports = class Board {
 		}
 	}
 
+	/**
+	 * Remove the last square played in the column.
+	 * 
+	 * @param {number} col - the column.
+	 * @throws {Error} - if the column is invalid.
+	 * @throws {Error} - if the column is empty.
+	 * @returns {SquareType} - the type of the square removed.
+	 */
+	removeSquare(col) {
+		if (isNaN(col) || col < 0 || col >= this._cols) 
+			throw new Error("Column invalid.");
+
+		for (let y=0; y < this._rows; y++) {
+			if (!this._squares[col][y].isEmpty()) {
+				const type = this._squares[col][y].type;
+				this._squares[col][y].clear();
+				return type;
+			}
+		}
+
+		throw new Error("There is no square in this column.");
+	}
+
+	/**
+	 * Pop the bottom square of the column out (the squares above it fall).
+	 * 
+	 * @param {number} col - the column.
+	 * @throws {Error} - if the column is invalid.
+	 * @throws {Error} - if the column is empty.
+	 * @returns {SquareType} - the type of the square popped.
+	 */
+	popSquare(col) {
+		if (isNaN(col) || col < 0 || col >= this._cols) 
+			throw new Error("Column invalid.");
+		if (this._squares[col][this._rows-1].isEmpty())
+			throw new Error("There is no square in this column.");
+
+		const square = this._squares[col].pop();
+		this._squares[col].unshift(new Square());
+		return square.type;
+	}
+
+	/**
+	 * Put a square back at the bottom of the column (the squares above it rise), to undo a pop.
+	 * 
+	 * @param {number} col - the column.
+	 * @param {SquareType} type - the type of the square.
+	 * @throws {Error} - if the column is invalid.
+	 * @throws {Error} - if the column is full.
+	 */
+	pushSquare(col, type) {
+		if (isNaN(col) || col < 0 || col >= this._cols) 
+			throw new Error("Column invalid.");
+		if (!this.hasFreeSquare(col))
+			throw new Error("There is no free square in this column.");
+
+		let square = new Square();
+		square.setType(type);
+		this._squares[col].shift();
+		this._squares[col].push(square);
+	}
+
 	/**
 	 * Copy the board.
 	 * 
 	 * @returns {Board} - a copy of the board.
 	 */
 	copy() {
-		let copy = new Board();
+		let copy = new Board(this._rows, this._cols, this._connect, this._popout);
 		for (let x=0; x < this._cols; x++) {
 			for (let y=0; y < this._rows; y++) {
 				copy._squares[x][y] = new Square();
@@ -152,4 +298,51 @@ module.exports = class Board {
 		}
 		return copy;
 	}
+
+	/**
+	 * Convert the board to a compact position (used by the bots to search).
+	 * 
+	 * @returns {Position} - the position of the board.
+	 */
+	toPosition() {
+		let position = new Position(this._rows, this._cols, this._connect, this._popout);
+		for (let x=0; x < this._cols; x++) {
+			for (let y=this._rows-1; y >= 0 && !this._squares[x][y].isEmpty(); y--)
+				position.play(x, this._squares[x][y].type);
+		}
+		return position;
+	}
+
+	/**
+	 * Get the data of the board (used to send or save it).
+	 * 
+	 * @returns {Object} - the size of the board, its rules and the type of each square ({rows, cols, connect, popout, squares}).
+	 */
+	toJSON() {
+		return {
+			rows: this._rows,
+			cols: this._cols,
+			connect: this._connect,
+			popout: this._popout,
+			squares: this._squares.map(col => col.map(square => square.type))
+		};
+	}
+
+	/**
+	 * Create a board from its data.
+	 * 
+	 * @param {Object} data - the data of the board (see toJSON).
+	 * @throws {Error} - if the data is invalid.
+	 * @returns {Board} - the board.
+	 */
+	static fromJSON(data) {
+		let board = new Board(data.rows, data.cols, data.connect, data.popout === true);
+		for (let x=0; x < board.cols; x++) {
+			for (let y=0; y < board.rows; y++) {
+				if (data.squares[x][y] !== SquareType.EMPTY)
+					board.setSquare(x, y, data.squares[x][y]);
+			}
+		}
+		return board;
+	}
 }
\ No newline at end of file
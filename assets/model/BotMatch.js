@@ -0,0 +1,143 @@
+const Board = require("./Board");
+const SquareType = require("./SquareType");
+const pool = require("../worker/BotPool");
+
+let nextId = 0;
+
+// In PopOut, the game is a draw when the same position comes this number of times.
+const MAX_REPETITIONS = 3;
+
+/**
+ * A game between two bots without a board shown (the matches of bots in
+ * the tournaments, the arena): the bots search their moves in the workers.
+ */
+module.exports = class BotMatch {
+
+	/**
+	 * Initialize the match.
+	 * 
+	 * @param {Array<PlayerType>} types - the types of the bots (the first one starts).
+	 * @param {Object} options - the options of the board ({rows, cols, connect, popout}) and the moves played before the bots
+	 * ({opening: the columns from 0, the first one by the first bot}).
+	 */
+	constructor(types, options = {}) {
+		this._types = types;
+		this._board = new Board(options.rows, options.cols, options.connect, options.popout === true);
+		this._opening = options.opening || [];
+		this._id = `match-${nextId++}`;
+		this._squareTypes = [SquareType.BLUE, SquareType.RED];
+		this._moves = [];
+		// The time of each move searched by each bot (ms).
+		this._times = [[], []];
+		// In PopOut, the number of times each position came (the squares and the bot to play).
+		this._positions = new Map();
+	}
+
+	/**
+	 * Play the game until the end.
+	 * 
+	 * @returns {Promise<Object>} - the result ({winner: the index of the winner, null if equality,
+	 * moves: the moves in column notation, times: the time of each move searched by each bot in ms}).
+	 */
+	play() {
+		const turn = this._playOpening();
+		return Promise.resolve(this._play(turn)).finally(() => pool.release(this._id));
+	}
+
+	/**
+	 * Play the moves of the opening.
+	 * 
+	 * @returns {number} - the index of the bot who plays next.
+	 */
+	_playOpening() {
+		let turn = 0;
+		for (const pos of this._opening) {
+			if (this._getResult(turn) !== undefined)
+				break;
+			this._setSquare(pos, turn);
+			turn = (turn+1)%2;
+		}
+		return turn;
+	}
+
+	/**
+	 * Play the moves of the bots.
+	 * 
+	 * @param {number} turn - the index of the bot who plays.
+	 * @returns {Object|Promise<Object>} - the result (see play).
+	 */
+	_play(turn) {
+		const result = this._getResult(turn);
+		if (result !== undefined)
+			return result;
+
+		const start = Date.now();
+		return pool.chooseMove(this._id, this._types[turn], this._board.toJSON(), this._squareTypes[turn], [this._squareTypes[(turn+1)%2]], this._board.popout? null : this._getMoveString())
+		.then(move => {
+			this._times[turn].push(Date.now() - start);
+			this._setSquare(move, turn);
+			return this._play((turn+1)%2);
+		});
+	}
+
+	/**
+	 * Put a disc of a bot (or pop it out in PopOut).
+	 * 
+	 * @param {number} move - the column (from 0), or ~column to pop (see Position).
+	 * @param {number} turn - the index of the bot.
+	 */
+	_setSquare(move, turn) {
+		if (move < 0)
+			this._board.popSquare(~move);
+		else
+			this._board.setSquare(move, this._board.getFirstFreeSquarePos(move), this._squareTypes[turn]);
+		this._moves.push(move);
+	}
+
+	/**
+	 * Get the moves in column notation (a pop is written "p" and the column).
+	 * 
+	 * @returns {string} - the moves.
+	 */
+	_getMoveString() {
+		return this._moves.map(move => (move < 0)? `p${~move+1}` : move+1).join("");
+	}
+
+	/**
+	 * Get the result if the game is over (called once by position, which is counted, see _isRepeated).
+	 * 
+	 * @param {number} turn - the index of the bot who plays next.
+	 * @returns {Object} - the result (see play, undefined if the game is in progress).
+	 */
+	_getResult(turn) {
+		const position = this._board.toPosition();
+		// A pop can connect the squares of both bots: the bot who popped wins.
+		const last = this._squareTypes[(turn+1)%2];
+		const winner = position.isWin(last)? last : position.getWinner();
+
+		if (winner === null && !position.isBlocked(this._squareTypes[turn]) && !this._isRepeated(position, turn))
+			return undefined;
+
+		return {
+			winner: (winner === null)? null : this._squareTypes.indexOf(winner),
+			moves: this._getMoveString(),
+			times: this._times
+		};
+	}
+
+	/**
+	 * Count the position in PopOut, where the squares can come back.
+	 * 
+	 * @param {Position} position - the position.
+	 * @param {number} turn - the index of the bot who plays next.
+	 * @returns {boolean} - true if the position came three times (a draw).
+	 */
+	_isRepeated(position, turn) {
+		if (!this._board.popout)
+			return false;
+
+		const key = `${position.key()}-${turn}`;
+		this._positions.set(key, (this._positions.get(key) || 0) + 1);
+		return this._positions.get(key) >= MAX_REPETITIONS;
+	}
+}
\ No newline at end of file
@@ -1,14 +1,17 @@
+const EventEmitter = require("events");
 const Room = require("./Room");
 
 /**
- * The connect4 game.
+ * The connect4 game. It emits "add" (the id and the room) when a room is added
+ * and "remove" (the id) when a room is stopped.
  */
-module.exports = class Game {
+module.exports = class Game extends EventEmitter {
 
 	/**
 	 * Initalize the rooms.
 	 */
 	constructor() {
+		super();
 		this._rooms = [];
 	}
 
@@ -19,16 +22,36 @@ module.exports = class Game {
 	 * @param {GuildMember} - the first player.
 	 * @param {GuildMember} - the second player (null if bot).
 	 * @param {PlayerType} - the second player type (human or bot).
+	 * @param {Object} options - the options of the board ({rows, cols, connect}).
 	 * @throws {Error} - if the id is invalid.
 	 * @throws {Error} - if the id already exists.
 	 */
-	newRoom(id, firstPlayer, secondPlayer, secondType) {
+	newRoom(id, firstPlayer, secondPlayer, secondType, options) {
 		if (id == undefined || isNaN(id))
 			throw new Error("Invalid id.");
 		if (Object.keys(this._rooms).includes(id))
 			throw new Error("This room already exists.");
 			
-		this._rooms[id] = new Room(firstPlayer, secondPlayer, secondType);
+		this._rooms[id] = new Room(firstPlayer, secondPlayer, secondType, options);
+		this.emit("add", id, this._rooms[id]);
+	}
+
+	/**
+	 * Add an existing room (e.g. a saved one).
+	 * 
+	 * @param {number} id - the id of the room.
+	 * @param {Room} room - the room.
+	 * @throws {Error} - if the id is invalid.
+	 * @throws {Error} - if the id already exists.
+	 */
+	addRoom(id, room) {
+		if (id == undefined || isNaN(id))
+			throw new Error("Invalid id.");
+		if (Object.keys(this._rooms).includes(id))
+			throw new Error("This room already exists.");
+
+		this._rooms[id] = room;
+		this.emit("add", id, room);
 	}
 
 	/**
@@ -43,6 +66,15 @@ module.exports = class Game {
 		return this._rooms[id];
 	}
 
+	/**
+	 * Get the ids of the rooms.
+	 * 
+	 * @returns {Array<string>} - the ids.
+	 */
+	get ids() {
+		return Object.keys(this._rooms);
+	}
+
 	/**
 	 * The game has the room.
 	 * 
@@ -66,6 +98,11 @@ module.exports = class Game {
 		if (id == undefined || isNaN(id))
 			throw new Error("Invalid id.");
 		
+		if (this._rooms[id] === undefined)
+			return;
+
+		this._rooms[id].stop();
 		delete this._rooms[id];
+		this.emit("remove", id);
 	}
 }
\ No newline at end of file
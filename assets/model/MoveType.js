@@ -0,0 +1,8 @@
+/**
+ * A type of move: a square dropped in a column, or (in PopOut) a square of
+ * the player popped out of the bottom of a column.
+ */
+module.exports = {
+	DROP: "drop",
+	POP: "pop"
+};
\ No newline at end of file
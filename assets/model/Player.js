@@ -62,7 +62,7 @@ module.exports = class Player {
 	 * @throws {Error} - the type is invalid.
 	 */
 	set squareType(type) {
-		if (type !== SquareType.RED && type !== SquareType.BLUE)
+		if (type === SquareType.EMPTY || !Object.values(SquareType).includes(type))
 			throw new Error("Invalid type of square.");
 
 		this._squareType = type;
@@ -1,5 +1,6 @@
 /**
- * A Type of player of the game.
+ * A Type of player of the game: a member, or a bot of the game
+ * (the bots of the config have their own types, see bots/Registry).
  */
 module.exports = {
 	HUMAN: 0,
@@ -7,5 +8,6 @@ module.exports = {
 	NORMAL_BOT: 2,
 	STUPID_BOT: 3,
 	RANDOM_BOT: 4,
-	CHEAT_BOT: 5
+	CHEAT_BOT: 5,
+	PERFECT_BOT: 6
 };
\ No newline at end of file
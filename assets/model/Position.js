@@ -0,0 +1,348 @@
+const SquareType = require("./SquareType");
+
+// Precomputed data shared by all the positions of the same size.
+const GEOMETRIES = {};
+// The types of square of the players (up to four).
+const PLAYERS = [SquareType.RED, SquareType.BLUE, SquareType.GREEN, SquareType.PURPLE];
+
+/**
+ * A compact position of the game used by the bots to search.
+ * 
+ * Each column uses rows+1 bits of a bitboard (the extra bit stops the lines
+ * from wrapping to the next column), the bottom square being the lowest bit.
+ * The squares are also kept in a flat array (col*rows + row) for the score.
+ * A move is a column (a square dropped) or, in PopOut, ~column (a negative
+ * number, the bottom square of the column popped out).
+ */
+module.exports = class Position {
+
+	/**
+	 * Initialize an empty position.
+	 * 
+	 * @param {number} rows - the number of rows.
+	 * @param {number} cols - the number of columns.
+	 * @param {number} connect - the number of aligned squares to win.
+	 * @param {boolean} popout - true to play PopOut.
+	 */
+	constructor(rows, cols, connect, popout = false) {
+		this._rows = rows;
+		this._cols = cols;
+		this._connect = connect;
+		this._popout = popout;
+		this._geometry = this._getGeometry();
+
+		// A bitboard by type of square (indexed by the type).
+		this._bits = Object.values(SquareType).map(() => 0n);
+		this._heights = new Array(cols).fill(0);
+		this._cells = new Int8Array(rows*cols).fill(SquareType.EMPTY);
+		// The number of squares on the board (not the moves, a pop removes one).
+		this._filled = 0;
+		this._history = [];
+		// The type of each square popped, to undo the pops.
+		this._popped = [];
+	}
+
+	/**
+	 * Get the number of rows.
+	 * 
+	 * @returns {number} - the number of rows.
+	 */
+	get rows() {
+		return this._rows;
+	}
+
+	/**
+	 * Get the number of columns.
+	 * 
+	 * @returns {number} - the number of columns.
+	 */
+	get cols() {
+		return this._cols;
+	}
+
+	/**
+	 * Get the number of aligned squares needed to win.
+	 * 
+	 * @returns {number} - the number of squares to connect.
+	 */
+	get connect() {
+		return this._connect;
+	}
+
+	/**
+	 * The position is played with the rules of PopOut.
+	 * 
+	 * @returns {boolean} - true if the squares can be popped out.
+	 */
+	get popout() {
+		return this._popout;
+	}
+
+	/**
+	 * Get the number of moves played.
+	 * 
+	 * @returns {number} - the number of moves.
+	 */
+	get moves() {
+		return this._history.length;
+	}
+
+	/**
+	 * Get the squares (col*rows + row, row 0 is the bottom).
+	 * 
+	 * @returns {Int8Array} - the type of each square.
+	 */
+	get cells() {
+		return this._cells;
+	}
+
+	/**
+	 * Get all the lines of squares where a player can win.
+	 * 
+	 * @returns {Int16Array} - the indexes of the squares of each line, one line every `connect` values.
+	 */
+	get windows() {
+		return this._geometry.windows;
+	}
+
+	/**
+	 * Get a key unique to the squares of the position.
+	 * 
+	 * @returns {BigInt} - the key.
+	 */
+	key() {
+		const size = this._geometry.size;
+		return (this._bits[SquareType.PURPLE] << size*3n) | (this._bits[SquareType.GREEN] << size*2n) | (this._bits[SquareType.BLUE] << size) | this._bits[SquareType.RED];
+	}
+
+	/**
+	 * The column has a free square.
+	 * 
+	 * @param {number} col - the column.
+	 * @returns {boolean} - true if there is one free square in the column.
+	 */
+	canPlay(col) {
+		return this._heights[col] < this._rows;
+	}
+
+	/**
+	 * Get all the free columns.
+	 * 
+	 * @returns {Array<number>} - the position of the free columns.
+	 */
+	getFree() {
+		let free = [];
+		for (let x=0; x < this._cols; x++) {
+			if (this._heights[x] < this._rows)
+				free.push(x);
+		}
+		return free;
+	}
+
+	/**
+	 * Get all the moves of a player: the free columns, then (in PopOut) the pops.
+	 * 
+	 * @param {SquareType} type - the type of square of the player.
+	 * @returns {Array<number>} - the moves.
+	 */
+	getMoves(type) {
+		let moves = this.getFree();
+		if (this._popout) {
+			for (let x=0; x < this._cols; x++) {
+				if (this._heights[x] > 0 && this._cells[x*this._rows] === type)
+					moves.push(~x);
+			}
+		}
+		return moves;
+	}
+
+	/**
+	 * Play a move: drop a square in a column, or pop the bottom square of a column out.
+	 * 
+	 * @param {number} move - the move (a column with a free square, or ~column with a square of this type at the bottom).
+	 * @param {SquareType} type - the type of square of the player.
+	 */
+	play(move, type) {
+		if (move < 0) {
+			this._pop(~move);
+			this._history.push(move);
+			return;
+		}
+
+		const row = this._heights[move]++;
+		this._bits[type] |= this._geometry.bits[move*this._rows + row];
+		this._cells[move*this._rows + row] = type;
+		this._filled++;
+		this._history.push(move);
+	}
+
+	/**
+	 * Undo the last move played.
+	 */
+	undo() {
+		const move = this._history.pop();
+		if (move < 0) {
+			this._unpop(~move);
+			return;
+		}
+
+		const row = --this._heights[move];
+		const index = move*this._rows + row;
+		this._bits[this._cells[index]] ^= this._geometry.bits[index];
+		this._cells[index] = SquareType.EMPTY;
+		this._filled--;
+	}
+
+	/**
+	 * Pop the bottom square of a column out, the squares above it fall.
+	 * 
+	 * @param {number} col - the column (must have a square).
+	 */
+	_pop(col) {
+		const base = col*this._rows;
+		const mask = this._geometry.columns[col];
+		for (const type of PLAYERS) {
+			const bits = this._bits[type] & mask;
+			this._bits[type] = (this._bits[type] ^ bits) | ((bits >> 1n) & mask);
+		}
+
+		this._popped.push(this._cells[base]);
+		this._cells.copyWithin(base, base+1, base + this._heights[col]);
+		this._cells[base + --this._heights[col]] = SquareType.EMPTY;
+		this._filled--;
+	}
+
+	/**
+	 * Put the last square popped back at the bottom of a column, the squares above it rise.
+	 * 
+	 * @param {number} col - the column.
+	 */
+	_unpop(col) {
+		const base = col*this._rows;
+		const mask = this._geometry.columns[col];
+		const type = this._popped.pop();
+		for (const other of PLAYERS) {
+			const bits = this._bits[other] & mask;
+			this._bits[other] = (this._bits[other] ^ bits) | (bits << 1n);
+		}
+		this._bits[type] |= this._geometry.bits[base];
+
+		this._cells.copyWithin(base+1, base, base + this._heights[col]++);
+		this._cells[base] = type;
+		this._filled++;
+	}
+
+	/**
+	 * A type of square has aligned enough squares.
+	 * 
+	 * @param {SquareType} type - the type of square.
+	 * @returns {boolean} - true if this type wins.
+	 */
+	isWin(type) {
+		const bits = this._bits[type];
+		for (const shifts of this._geometry.shifts) {
+			let line = bits;
+			for (let i=0; i < shifts.length && line; i++)
+				line &= line >> shifts[i];
+			if (line)
+				return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Get the type of square who wins.
+	 * 
+	 * @returns {SquareType} - the square type (null if no winner).
+	 */
+	getWinner() {
+		const winner = PLAYERS.find(type => this.isWin(type));
+		return (winner === undefined)? null : winner;
+	}
+
+	/**
+	 * The board is full.
+	 * 
+	 * @returns {boolean} - true if no square is free.
+	 */
+	isFull() {
+		return this._filled === this._rows*this._cols;
+	}
+
+	/**
+	 * A player has no move: the board is full and (in PopOut) no bottom square is the player's.
+	 * 
+	 * @param {SquareType} type - the type of square of the player.
+	 * @returns {boolean} - true if the player can't play.
+	 */
+	isBlocked(type) {
+		if (!this.isFull())
+			return false;
+		if (!this._popout)
+			return true;
+
+		for (let x=0; x < this._cols; x++) {
+			if (this._cells[x*this._rows] === type)
+				return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Game is over (with the rules of the classic game).
+	 * 
+	 * @returns {boolean} - true if the position is won or full.
+	 */
+	isOver() {
+		return this.isFull() || this.getWinner() !== null;
+	}
+
+	/**
+	 * Get (or build) the data shared by the positions of this size.
+	 * 
+	 * @returns {Object} - the bit of each square, the bits of each column, the shifts of each direction, the lines and the size of a bitboard.
+	 */
+	_getGeometry() {
+		const key = `${this._rows}x${this._cols}x${this._connect}`;
+		if (GEOMETRIES[key] !== undefined)
+			return GEOMETRIES[key];
+
+		const rows = this._rows, cols = this._cols, n = this._connect;
+		const height = rows+1;
+
+		let bits = [];
+		let columns = [];
+		for (let x=0; x < cols; x++) {
+			for (let y=0; y < rows; y++)
+				bits.push(1n << BigInt(x*height + y));
+			columns.push(((1n << BigInt(rows)) - 1n) << BigInt(x*height));
+		}
+
+		// Vertical, horizontal, diagonal and anti-diagonal: each shift doubles
+		// the length of the lines found (up to n), so n=4 only needs 2 shifts.
+		let shifts = [];
+		for (const dir of [1, height, height+1, height-1]) {
+			let dirShifts = [];
+			for (let length=1; length < n; length += Math.min(length, n-length))
+				dirShifts.push(BigInt(dir * Math.min(length, n-length)));
+			shifts.push(dirShifts);
+		}
+
+		let windows = [];
+		for (const [dx, dy] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+			for (let x=0; x < cols; x++) {
+				for (let y=0; y < rows; y++) {
+					const endX = x + dx*(n-1), endY = y + dy*(n-1);
+					if (endX >= cols || endY < 0 || endY >= rows)
+						continue;
+
+					for (let i=0; i < n; i++)
+						windows.push((x + dx*i)*rows + y + dy*i);
+				}
+			}
+		}
+
+		GEOMETRIES[key] = {bits, columns, shifts, windows: Int16Array.from(windows), size: BigInt(cols*height)};
+		return GEOMETRIES[key];
+	}
+}
\ No newline at end of file
@@ -0,0 +1,93 @@
+const Board = require("./Board");
+const SquareType = require("./SquareType");
+
+/**
+ * The replay of a game written in column notation (e.g. "4453377", or
+ * "4453p4" in PopOut where a pop is written "p" and the column).
+ */
+module.exports = class Replay {
+
+	/**
+	 * Initialize the replay (check every move of the game).
+	 * 
+	 * @param {string} moveString - the moves (the columns from 1, the first player is blue).
+	 * @param {Object} options - the options of the board ({rows, cols, connect, popout}).
+	 * @throws {Error} - if the board or a move is invalid.
+	 */
+	constructor(moveString, options = {}) {
+		if (!(options.popout? /^(p?[1-9])+$/i : /^[1-9]+$/).test(moveString))
+			throw new Error(options.popout? "The moves must be written as the columns played, with a p before the pops (e.g. `4453p4`)."
+				: "The moves must be written as the columns played (e.g. `4453377`).");
+
+		let board = new Board(options.rows, options.cols, options.connect, options.popout === true);
+		this._boards = [board.copy()];
+		this._moves = [];
+
+		const moves = moveString.match(/p?[1-9]/gi);
+		for (let i=0; i < moves.length; i++) {
+			const pop = moves[i].length === 2;
+			const pos = parseInt(moves[i].slice(-1)) - 1;
+			const type = (i%2 === 0)? SquareType.BLUE : SquareType.RED;
+
+			if (pos >= board.cols)
+				throw new Error(`Move ${i+1} is illegal: there is no column ${pos+1}.`);
+			if (!pop && !board.hasFreeSquare(pos))
+				throw new Error(`Move ${i+1} is illegal: the column ${pos+1} is full.`);
+			if (pop && !board.canPop(pos, type))
+				throw new Error(`Move ${i+1} is illegal: the bottom square of the column ${pos+1} is not the player's.`);
+			if (board.toPosition().getWinner() !== null)
+				throw new Error(`Move ${i+1} is illegal: the game is already over.`);
+
+			if (pop)
+				board.popSquare(pos);
+			else
+				board.setSquare(pos, board.getFirstFreeSquarePos(pos), type);
+			this._boards.push(board.copy());
+			this._moves.push(pop? ~pos : pos);
+		}
+	}
+
+	/**
+	 * Get the number of moves.
+	 * 
+	 * @returns {number} - the number of moves.
+	 */
+	get length() {
+		return this._moves.length;
+	}
+
+	/**
+	 * Get the board after some moves.
+	 * 
+	 * @param {number} index - the number of moves played (0 to length).
+	 * @throws {Error} - if the index is invalid.
+	 * @returns {Board} - the board.
+	 */
+	getBoard(index) {
+		if (isNaN(index) || index < 0 || index > this._moves.length)
+			throw new Error("Invalid index of move.");
+		return this._boards[index];
+	}
+
+	/**
+	 * Get a move.
+	 * 
+	 * @param {number} index - the index of the move (0 to length-1).
+	 * @returns {number} - the column played (~column for a pop, see Position).
+	 */
+	getMove(index) {
+		return this._moves[index];
+	}
+
+	/**
+	 * Get the type of square who wins at the end of the game.
+	 * 
+	 * @returns {SquareType} - the square type (null if no winner).
+	 */
+	getWinner() {
+		// A pop can connect the squares of both players: the player who popped wins.
+		const position = this._boards[this._moves.length].toPosition();
+		const last = (this._moves.length%2 === 1)? SquareType.BLUE : SquareType.RED;
+		return position.isWin(last)? last : position.getWinner();
+	}
+}
\ No newline at end of file
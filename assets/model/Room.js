@@ -1,39 +1,115 @@
+const EventEmitter = require("events");
+const config = require("config");
 const Board = require("./Board");
 const Player = require("./Player");
 const PlayerType = require("./PlayerType");
 const SquareType = require("./SquareType");
+const MoveType = require("./MoveType");
+const TimeoutPolicy = require("./TimeoutPolicy");
+const pool = require("../worker/BotPool");
 
+let nextId = 0;
 
-const CENTER_POINTS = 4;
-const LINES2_POINTS = 2;
-const LINES3_POINTS = 5;
-const WIN_POINTS = 10000;
-const OPP_LINES2_POINTS = -2;
-const OPP_LINES3_POINTS = -5;
-const OPP_WIN_POINTS = -1000;
+const MAX_FORFEIT = 10;
+// In PopOut, the game is a draw when the same position comes this number of times.
+const MAX_REPETITIONS = 3;
+const MAX_PLAYERS = 4;
+// The squares of the players, in the order of the turns from the first player.
+const COLORS = [SquareType.BLUE, SquareType.RED, SquareType.GREEN, SquareType.PURPLE];
+// The default board of the games of more than two players, by number of players (bigger, the squares are shared by more players).
+const BIG_BOARDS = {3: {cols: 8, rows: 7}, 4: {cols: 9, rows: 7}};
 
 /**
- * A room of the game.
+ * A room of the game. It emits "move" (the column and the MoveType) when a move is played,
+ * and "update" when the room changes otherwise (a takeback, a skipped turn, the end of the game).
  */
-module.exports = class Room {
+module.exports = class Room extends EventEmitter {
 
 	/**
 	 * Initialize the room.
 	 * 
-	 * @param {GuildMember} - the first player.
+	 * @param {GuildMember} - the first player (null if bot).
 	 * @param {GuildMember} - the second player (null if bot).
 	 * @param {PlayerType} - the second player type (human or bot).
+	 * @param {Object} options - the options of the room ({rows, cols, connect, popout: true to play PopOut, takebacks, hints, timeout: the timeout policy,
+	 * forfeitAfter: the timeouts in a row before forfeiting, first: the index of the first player,
+	 * firstType: the first player type, human by default, others: the other players of a game of 3 or 4 players ([{member, type}])}).
+	 * @throws {Error} - if the options are invalid.
 	 */
-	constructor(firstPlayer, secondPlayer, secondType) {
-		this._board = new Board();
+	constructor(firstPlayer, secondPlayer, secondType, options = {}) {
+		super();
+		Room.validate(options);
+		const firstType = (options.firstType === undefined)? PlayerType.HUMAN : options.firstType;
 		this._players = [
-			new Player(firstPlayer, PlayerType.HUMAN),
+			new Player(firstPlayer, firstType),
 			new Player(secondPlayer, secondType)
-		];
-		this._currentPlayer = (secondType === PlayerType.HUMAN)? Math.floor(Math.random() * 2) : 0;
+		].concat((options.others || []).map(other => new Player(other.member, other.type)));
+
+		const size = BIG_BOARDS[this._players.length] || {};
+		this._board = new Board((options.rows === undefined)? size.rows : options.rows, (options.cols === undefined)? size.cols : options.cols, options.connect, options.popout === true);
+
+		if (options.first !== undefined)
+			this._currentPlayer = options.first;
+		else
+			this._currentPlayer = this._players.every(player => player.type === PlayerType.HUMAN)? Math.floor(Math.random() * this._players.length) : 0;
+
+		// The first player has the blue squares, then the colors follow the turns.
+		this._players.forEach((player, i) => player.squareType = COLORS[(i - this._currentPlayer + this._players.length) % this._players.length]);
+
+		this._id = nextId++;
+		this._thinking = false;
+		this._moves = [];
+		// The index of the player who played each move (the turns don't alternate after a skipped turn).
+		this._movers = [];
+		this._startedAt = Date.now();
+
+		// The number of takebacks allowed to each player, and used by each player.
+		this._takebackLimit = (options.takebacks === undefined)? config.get("takebacks") : options.takebacks;
+		this._takebacks = this._players.map(() => 0);
+		// The number of hints allowed to each player, and used by each player.
+		this._hintLimit = (options.hints === undefined)? config.get("hints") : options.hints;
+		this._hints = this._players.map(() => 0);
+
+		this._timeout = (options.timeout === undefined)? config.get("timeoutPolicy") : options.timeout;
+		this._forfeitAfter = (options.forfeitAfter === undefined)? config.get("forfeitAfter") : options.forfeitAfter;
+		// The timeouts in a row of each player.
+		this._timeouts = this._players.map(() => 0);
+		// The turns skipped (the moves can't be written in column notation).
+		this._skipped = 0;
+		// The index of the player who forfeits (null if none).
+		this._forfeited = null;
+		// The indexes of the players who left a game of more than two players (their turns are skipped).
+		this._left = [];
+		// Why the game ended before the end of the board: "resign", "timeout", "draw", "repetition" or "blocked" (null if none).
+		this._endReason = null;
+		// In PopOut, the number of times each position came (the squares and the player to move).
+		this._positions = {};
+		if (this._board.popout)
+			this._countPosition(1);
+	}
 
-		this.currentPlayer.squareType = SquareType.BLUE;
-		this.opponentPlayer.squareType = SquareType.RED;
+	/**
+	 * Check the options of a room (see constructor).
+	 * 
+	 * @param {Object} options - the options of the room.
+	 * @throws {Error} - if the options are invalid.
+	 */
+	static validate(options = {}) {
+		const players = 2 + (options.others || []).length;
+		if (players > MAX_PLAYERS)
+			throw new Error(`A game has ${MAX_PLAYERS} players at most.`);
+
+		const size = BIG_BOARDS[players] || {};
+		Board.validate((options.rows === undefined)? size.rows : options.rows, (options.cols === undefined)? size.cols : options.cols, options.connect);
+		if (options.popout === true && players > 2)
+			throw new Error("PopOut is played by two players.");
+
+		const timeout = (options.timeout === undefined)? config.get("timeoutPolicy") : options.timeout;
+		const forfeitAfter = (options.forfeitAfter === undefined)? config.get("forfeitAfter") : options.forfeitAfter;
+		if (!Object.values(TimeoutPolicy).includes(timeout))
+			throw new Error(`The timeout policy must be ${Object.values(TimeoutPolicy).map(policy => `\`${policy}\``).join(", ")}.`);
+		if (!Number.isInteger(forfeitAfter) || forfeitAfter < 1 || forfeitAfter > MAX_FORFEIT)
+			throw new Error(`A player must forfeit after 1 to ${MAX_FORFEIT} timeouts.`);
 	}
 
 	/**
@@ -55,12 +131,12 @@ module.exports = class Room {
 	}
 
 	/**
-	 * Get the opponent player.
+	 * Get the opponent player (the next player in a game of more than two players).
 	 * 
 	 * @returns {Player} - the opponent player.
 	 */
 	get opponentPlayer() {
-		return this._players[(this._currentPlayer+1)%2];
+		return this._players[this._getNext(this._currentPlayer)];
 	}
 
 	/**
@@ -72,283 +148,555 @@ module.exports = class Room {
 		return this._players;
 	}
 
+	/**
+	 * The player has left the game (a game of more than two players goes on without the players who forfeit).
+	 * 
+	 * @param {Player} player - the player.
+	 * @returns {boolean} - true if the player has left.
+	 */
+	hasLeft(player) {
+		return this._left.includes(this._players.indexOf(player));
+	}
+
+	/**
+	 * Get the number of moves played.
+	 * 
+	 * @returns {number} - the number of moves.
+	 */
+	get moveCount() {
+		return this._moves.length;
+	}
+
+	/**
+	 * Get the moves played in column notation (the columns from 1, a pop is written "p" and the column, e.g. "4453p4").
+	 * 
+	 * @returns {string} - the moves.
+	 */
+	get moveString() {
+		return this._moves.map(move => (move < 0)? `p${~move+1}` : move+1).join("");
+	}
+
+	/**
+	 * Get the last square dropped.
+	 * 
+	 * @returns {number} - the column of the last move (null if none, or if it's a pop).
+	 */
+	get lastMove() {
+		const move = (this._moves.length === 0)? null : this._moves[this._moves.length-1];
+		return (move === null || move < 0)? null : move;
+	}
+
+	/**
+	 * Get the number of hints used by each player.
+	 * 
+	 * @returns {Array<number>} - the number of hints of each player.
+	 */
+	get hints() {
+		return this._hints;
+	}
+
+	/**
+	 * Get the time since the start of the room.
+	 * 
+	 * @returns {number} - the duration (ms).
+	 */
+	get duration() {
+		return Date.now() - this._startedAt;
+	}
+
+	/**
+	 * Get the timeout policy.
+	 * 
+	 * @returns {Object} - the policy and the timeouts in a row before forfeiting ({policy, forfeitAfter}).
+	 */
+	get timeout() {
+		return {policy: this._timeout, forfeitAfter: this._forfeitAfter};
+	}
+
+	/**
+	 * A turn was skipped, so the moves don't alternate.
+	 * 
+	 * @returns {boolean} - true if a turn was skipped.
+	 */
+	get skipped() {
+		return this._skipped > 0;
+	}
+
+	/**
+	 * Get the player who forfeited.
+	 * 
+	 * @returns {Player} - the player (null if none).
+	 */
+	get forfeited() {
+		return (this._forfeited === null)? null : this._players[this._forfeited];
+	}
+
+	/**
+	 * Get why the game ended before the end of the board.
+	 * 
+	 * @returns {string} - "resign" (a player resigned), "timeout" (a player forfeited after the timeouts),
+	 * "draw" (the players agreed to a draw), "repetition" (in PopOut, the same position came three times)
+	 * or "blocked" (in PopOut, the board is full and the player to move has no square to pop), null if none.
+	 */
+	get endReason() {
+		return this._endReason;
+	}
+
+	/**
+	 * The bot is searching its move.
+	 * 
+	 * @returns {boolean} - true if the bot is thinking.
+	 */
+	get thinking() {
+		return this._thinking;
+	}
+
 	/**
 	 * A player play.
 	 * 
 	 * @param {number} pos - the position to play.
+	 * @param {MoveType} type - drop a square in the column, or pop the square of the player out of its bottom (PopOut).
 	 * @throws {Error} - if the position is invalid.
 	 * @returns {Promise} - when played.
 	 */
-	play(pos) {
+	play(pos, type = MoveType.DROP) {
 		if (pos < 0 || pos >= this._board.cols)
 			throw new Error("The position is invalid.");
-		if (!this._board.hasFreeSquare(pos))
+		if (type === MoveType.POP && !this._board.canPop(pos, this.currentPlayer.squareType))
+			throw new Error("The given position has no square of the player to pop.");
+		if (type !== MoveType.POP && !this._board.hasFreeSquare(pos))
 			throw new Error("The given position has no squares free.");
 
 		return new Promise((resolve, reject) => {
-			this._board.setSquare(pos, this._board.getFirstFreeSquarePos(pos), this.currentPlayer.squareType);
+			if (type === MoveType.POP) {
+				this._board.popSquare(pos);
+				this._moves.push(~pos);
+			}
+			else {
+				this._board.setSquare(pos, this._board.getFirstFreeSquarePos(pos), this.currentPlayer.squareType);
+				this._moves.push(pos);
+			}
+			this._movers.push(this._currentPlayer);
+			this._timeouts[this._currentPlayer] = 0;
 
 			if (!this.isOver()) {
 				this.swapPlayer();
-
-				// Bot's turn.
-				switch (this.currentPlayer.type) {
-					case (PlayerType.EASY_BOT):
-						this.play(this._minimax(this._board, 1, -Infinity, Infinity, true, true));
-						break;
-					case (PlayerType.NORMAL_BOT):
-						this.play(this._minimax(this._board, 3, -Infinity, Infinity, true, true));
-						break;
-					case (PlayerType.STUPID_BOT):
-						this.play(this._board.getFree()[0]);
-						break;
-					case (PlayerType.RANDOM_BOT):
-						const free = this._board.getFree();
-						this.play(free[Math.floor(Math.random() * free.length)]);
-						break;
-					case (PlayerType.CHEAT_BOT):
-						this.play(this._minimax(this._board, 8, -Infinity, Infinity, true, true));
-						break;
-				}
+				if (this._board.popout)
+					this._checkDraw();
 			}
 
+			this.emit("move", pos, type);
 			resolve();
 		});
 	}
 
 	/**
-	 * Play a random pos.
+	 * Read a move written by the current player.
+	 * 
+	 * @param {string} text - the column (from 1), or in PopOut "p" and the column to pop (e.g. "4" or "p4").
+	 * @throws {Error} - if the move is invalid (the error explains why).
+	 * @returns {Object} - the move ({pos: the column from 0, type: a MoveType}).
+	 */
+	parseMove(text) {
+		const cols = this._board.cols;
+		const move = /^(p?)(\d+)$/i.exec(text);
+		const pos = (move === null)? -1 : parseInt(move[2]) - 1;
+		if (move === null || pos < 0 || pos >= cols || (move[1] !== "" && !this._board.popout)) {
+			if (this._board.popout)
+				throw new Error(`Write the number of a column, between 1 and ${cols} (with a p before it to pop your square out, e.g. \`p${Math.ceil(cols/2)}\`).`);
+			throw new Error(`Write the number of a column, between 1 and ${cols}.`);
+		}
+
+		if (move[1] !== "") {
+			if (!this._board.canPop(pos, this.currentPlayer.squareType))
+				throw new Error("The bottom square of this column is not yours.");
+			return {pos, type: MoveType.POP};
+		}
+		if (!this._board.hasFreeSquare(pos))
+			throw new Error("This column is full.");
+		return {pos, type: MoveType.DROP};
+	}
+
+	/**
+	 * Play a move of a bot.
 	 * 
+	 * @param {number} move - the move (the column, or ~column to pop, see Position).
 	 * @returns {Promise} - when played.
 	 */
-	passTurn() {
-		const free = this._board.getFree();
-		return this.play(free[Math.floor(Math.random() * free.length)]);
+	_playMove(move) {
+		return (move < 0)? this.play(~move, MoveType.POP) : this.play(move);
 	}
 
 	/**
-	 * Swap the player.
+	 * In PopOut, end the game in a draw if the player to move can't play, or if the position came three times.
 	 */
-	swapPlayer() {
-		this._currentPlayer = (this._currentPlayer+1) % this._players.length;
+	_checkDraw() {
+		if (this._board.getMoves(this.currentPlayer.squareType).length === 0)
+			this._endReason = "blocked";
+		else if (this._countPosition(1) >= MAX_REPETITIONS)
+			this._endReason = "repetition";
 	}
 
 	/**
-	 * Game is over.
+	 * Count the current position (the squares and the player to move).
 	 * 
-	 * @param {Board} - a board.
-	 * @returns {boolean} - true if the game is over.
+	 * @param {number} count - 1 when the position comes, -1 when it's taken back.
+	 * @returns {number} - the number of times the position came.
 	 */
-	isOver(board) {
-		if (board === undefined)
-			board = this._board;
-		return board.getFree().length === 0 || this._getSquareTypeWinner(board) !== null;
+	_countPosition(count) {
+		const key = `${this._board.toPosition().key()}-${this._currentPlayer}`;
+		this._positions[key] = (this._positions[key] || 0) + count;
+		if (this._positions[key] <= 0)
+			delete this._positions[key];
+		return this._positions[key] || 0;
 	}
 
 	/**
-	 * Minimax algorithm (thanks to https://www.youtube.com/watch?v=y7AKtWGOPAE).
+	 * The bot (current player) searches its move in a worker, then plays it.
 	 * 
-	 * @param {Board} board - the board.
-	 * @param {number} depth - the depth.
-	 * @param {number} alpha - alpha.
-	 * @param {number} beta - beta.
-	 * @param {boolean} isMaximizer - is maximizer.
-	 * @param {boolean} first - the first time this method is called.
-	 * @returns {number} - in the end the best position to play.
+	 * @throws {Error} - if the current player is not a bot.
+	 * @returns {Promise} - when played (rejected if the room is stopped during the search).
 	 */
-	_minimax(board, depth, alpha, beta, isMaximizer, first) {
+	playBot() {
+		if (this.currentPlayer.type === PlayerType.HUMAN)
+			throw new Error("The current player is not a bot.");
+
+		this._thinking = true;
+		return pool.chooseMove(this._id, this.currentPlayer.type, this._board.toJSON(), this.currentPlayer.squareType, this._getOpponents(this.currentPlayer), this._getBookMoves())
+		.then(move => {
+			this._thinking = false;
+			return this._playMove(move);
+		}, err => {
+			this._thinking = false;
+			throw err;
+		});
+	}
 
-		if (depth === 0 || this.isOver(board)) {
-			if (this.isOver(board)) {
-				switch (this._getSquareTypeWinner(board)) {
-					case (this.currentPlayer.squareType):
-						return WIN_POINTS;
-					case (this.opponentPlayer.squareType):
-						return OPP_WIN_POINTS;
-					default:
-						return 0;
-				}
-			}
+	/**
+	 * Get the moves to look up in the opening book.
+	 * 
+	 * @returns {string} - the moves in column notation (null if a turn was skipped, in PopOut, or with more than two players).
+	 */
+	_getBookMoves() {
+		return (this.skipped || this._board.popout || this._players.length > 2)? null : this.moveString;
+	}
 
-			return this._getScore(board, this.currentPlayer);
+	/**
+	 * Get the opponents of a player who are still in the game.
+	 * 
+	 * @param {Player} player - the player.
+	 * @returns {Array<SquareType>} - the types of square of the opponents, in the order of their turns after the player.
+	 */
+	_getOpponents(player) {
+		const index = this._players.indexOf(player);
+		let opponents = [];
+		for (let next = this._getNext(index); next !== index; next = this._getNext(next))
+			opponents.push(this._players[next].squareType);
+		return opponents;
+	}
+
+	/**
+	 * Check that a player can take back a move: against a bot, the last move of
+	 * the player and the answer of the bot, against a member, the last move of the player.
+	 * 
+	 * @param {Player} player - the player.
+	 * @throws {Error} - if the player cannot take back a move.
+	 * @returns {number} - the number of moves to take back.
+	 */
+	checkTakeback(player) {
+		const index = this._players.indexOf(player);
+		if (index === -1 || player.type !== PlayerType.HUMAN)
+			throw new Error("You are not a player of this game.");
+		if (this._players.length > 2)
+			throw new Error("The takebacks are only allowed in the games of two players.");
+		if (this._takebackLimit === 0)
+			throw new Error("The takebacks are disabled in this game.");
+		if (this._takebacks[index] >= this._takebackLimit)
+			throw new Error(`You have already used your ${this._takebackLimit} takeback(s) in this game.`);
+		if (this._thinking)
+			throw new Error("Wait for the bot to play its move.");
+
+		// The last moves must be the ones of the player (and the answer of the bot), not the ones after a skipped turn.
+		const last = this._movers[this._movers.length-1];
+		if (this._players[1].type !== PlayerType.HUMAN) {
+			if (this.currentPlayer !== player || this._moves.length < 2 || this._movers[this._movers.length-2] !== index || last === index)
+				throw new Error("You have no move to take back.");
+			return 2;
 		}
 
-		if (isMaximizer) {
-			let maxEval = -Infinity;
-			let bestPos;
-			for (let pos of board.getFree()) {
-				let copy = board.copy();
-				copy.setSquare(pos, copy.getFirstFreeSquarePos(pos), this.currentPlayer.squareType);
+		if (this.opponentPlayer !== player || this._moves.length === 0 || last !== index)
+			throw new Error("You can only take back your last move, before your opponent plays.");
+		return 1;
+	}
 
-				let currentEval = this._minimax(copy, depth-1, alpha, beta, false, false);
+	/**
+	 * A player takes back a move (it's the player's turn again).
+	 * 
+	 * @param {Player} player - the player.
+	 * @throws {Error} - if the player cannot take back a move.
+	 */
+	takeback(player) {
+		const count = this.checkTakeback(player);
+
+		for (let i=0; i < count; i++) {
+			if (this._board.popout)
+				this._countPosition(-1);
+
+			const move = this._moves.pop();
+			this._currentPlayer = this._movers.pop();
+			// A player only pops the own squares, so the square popped is the one of the player who played the move.
+			if (move < 0)
+				this._board.pushSquare(~move, this.currentPlayer.squareType);
+			else
+				this._board.removeSquare(move);
+		}
+		this._takebacks[this._players.indexOf(player)]++;
+		this.emit("update");
+	}
 
-				if (currentEval > maxEval) {
-					maxEval = currentEval;
-					bestPos = pos;
-				}
-				alpha = Math.max(alpha, currentEval);
-				if (beta <= alpha)
-					break;
-			}
+	/**
+	 * Get the number of takebacks left to a player.
+	 * 
+	 * @param {Player} player - the player.
+	 * @returns {number} - the number of takebacks left.
+	 */
+	getTakebacksLeft(player) {
+		return this._takebackLimit - this._takebacks[this._players.indexOf(player)];
+	}
 
-			if (first)
-				return bestPos;
+	/**
+	 * Search the best move of a player (the current player) and why it's good (the hint is counted with useHint, once sent).
+	 * 
+	 * @param {Player} player - the player.
+	 * @throws {Error} - if the player cannot get a hint.
+	 * @returns {Promise<Object>} - the position to play, the type of move and the reason
+	 * ({pos, type: a MoveType, reason: "win", "block", "threat", "center" or "search"}).
+	 */
+	getHint(player) {
+		const index = this._players.indexOf(player);
+		if (index === -1 || player.type !== PlayerType.HUMAN)
+			throw new Error("You are not a player of this game.");
+		if (this._hintLimit === 0)
+			throw new Error("The hints are disabled in this game.");
+		if (this._hints[index] >= this._hintLimit)
+			throw new Error(`You have already used your ${this._hintLimit} hint(s) in this game.`);
+		if (this.currentPlayer !== player)
+			throw new Error("You can only ask a hint on your turn.");
+
+		const opponents = this._getOpponents(player);
+		return pool.chooseMove(this._id, PlayerType.CHEAT_BOT, this._board.toJSON(), player.squareType, opponents, this._getBookMoves())
+		.then(move => ({
+			pos: (move < 0)? ~move : move,
+			type: (move < 0)? MoveType.POP : MoveType.DROP,
+			reason: this._getHintReason(move, player.squareType, opponents)
+		}));
+	}
 
-			return maxEval;
-		}
-		else {
-			let minEval = Infinity;
-			for (let pos of board.getFree()) {
-				let copy = board.copy();
-				copy.setSquare(pos, copy.getFirstFreeSquarePos(pos), this.opponentPlayer.squareType);
-
-				let currentEval = this._minimax(copy, depth-1, alpha, beta, true, false);
-				minEval = Math.min(currentEval, minEval);
-				beta = Math.min(beta, currentEval);
-				if (beta <= alpha)
-					break;
-			}
+	/**
+	 * Count a hint sent to a player.
+	 * 
+	 * @param {Player} player - the player.
+	 */
+	useHint(player) {
+		this._hints[this._players.indexOf(player)]++;
+	}
 
-			return minEval;
-		}
+	/**
+	 * Get the number of hints left to a player.
+	 * 
+	 * @param {Player} player - the player.
+	 * @returns {number} - the number of hints left.
+	 */
+	getHintsLeft(player) {
+		return this._hintLimit - this._hints[this._players.indexOf(player)];
 	}
 
 	/**
-	 * Get the score of the board.
+	 * Explain why a move is good.
 	 * 
-	 * @param {Board} board - a board.
-	 * @param {Player} player - the current player.
-	 * @returns {number} - the score of the board. 
+	 * @param {number} move - the move to play (the column, or ~column to pop, see Position).
+	 * @param {SquareType} me - the type of square of the player.
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents.
+	 * @returns {string} - "win" (wins now), "block" (stops a win of an opponent), "threat" (threatens to win),
+	 * "center" (a central column) or "search" (the best move of the search).
 	 */
-	_getScore(board, player) {
-		const squares = board._squares;
+	_getHintReason(move, me, opponents) {
+		let position = this._board.toPosition();
+		const wins = this._getWinningMoves(position, me);
+
+		position.play(move, me);
+		const win = position.isWin(me);
+		// A threat: the move gives a new way to win with the next move.
+		const threat = !win && this._getWinningMoves(position, me).some(other => !wins.includes(other));
+		position.undo();
+
+		// Only a square dropped can take the place of a square of an opponent.
+		const block = move >= 0 && opponents.some(opponent => {
+			position.play(move, opponent);
+			const win = position.isWin(opponent);
+			position.undo();
+			return win;
+		});
 
-		// Center.
-		let center_points = 0;
-		for (let y=board.rows-1; y >= 0; y--) {
-			if (squares[Math.floor(board.cols/2)][y].type === player.squareType)
-				center_points += CENTER_POINTS;
-		}
+		if (win)
+			return "win";
+		if (block)
+			return "block";
+		if (threat)
+			return "threat";
+		if (move >= 0 && Math.abs(move - (this._board.cols-1) / 2) < 1)
+			return "center";
+		return "search";
+	}
 
-		// Vertical.
-		let vertical_points = 0;
-		for (let x=0; x < board.cols; x++) {
-			for (let y=board.rows-1; y > 2; y--) {
-				let cpt = y;
-				let nb_empty = 0;;
-				let nb_player_square = 0;
-
-				while (cpt > y-4) {
-					if (squares[x][cpt].isEmpty())
-						nb_empty++;
-					else if (squares[x][cpt].type === player.squareType)
-						nb_player_square++;
-					cpt--;	
-				}
+	/**
+	 * Get the moves with which a player would win.
+	 * 
+	 * @param {Position} position - the position.
+	 * @param {SquareType} type - the type of square of the player.
+	 * @returns {Array<number>} - the winning moves.
+	 */
+	_getWinningMoves(position, type) {
+		return position.getMoves(type).filter(move => {
+			position.play(move, type);
+			const win = position.isWin(type);
+			position.undo();
+			return win;
+		});
+	}
 
-				vertical_points += this._calcScore(nb_empty, nb_player_square);
-			}
-		}
+	/**
+	 * Stop the room (cancel the search of the bot and free its data).
+	 */
+	stop() {
+		pool.cancel(this._id);
+		pool.release(this._id);
+	}
 
-		// Horizontal.
-		let horizontal_points = 0;
-		for (let y=board.rows-1; y >= 0; y--) {
-			for (let x=0; x < board.cols-3; x++) {
-				let cpt = x;
-				let nb_empty = 0;;
-				let nb_player_square = 0;
-
-				while (cpt < x+4) {
-					if (squares[cpt][y].isEmpty())
-						nb_empty++;
-					else if (squares[cpt][y].type === player.squareType)
-						nb_player_square++;
-					cpt++;	
-				}
+	/**
+	 * Play a random move.
+	 * 
+	 * @returns {Promise} - when played.
+	 */
+	passTurn() {
+		const moves = this._board.getMoves(this.currentPlayer.squareType);
+		return this._playMove(moves[Math.floor(Math.random() * moves.length)]);
+	}
 
-				horizontal_points += this._calcScore(nb_empty, nb_player_square);
-			}
+	/**
+	 * The current player didn't play in time, apply the timeout policy.
+	 * 
+	 * @returns {Promise<string>} - what happened: "random" (a random move is played), "skip" (the turn is skipped),
+	 * "forfeit" (the player forfeits) or "pause" (nothing, the game waits).
+	 */
+	timeOut() {
+		const index = this._currentPlayer;
+		this._timeouts[index]++;
+
+		switch (this._timeout) {
+			case TimeoutPolicy.RANDOM:
+				return this.passTurn().then(() => "random");
+			case TimeoutPolicy.PAUSE:
+				return Promise.resolve("pause");
+			case TimeoutPolicy.FORFEIT:
+				if (this._timeouts[index] >= this._forfeitAfter) {
+					this.forfeit(this.currentPlayer, "timeout");
+					return Promise.resolve("forfeit");
+				}
+				// Else the turn is skipped.
+			default:
+				this._skipped++;
+				this.swapPlayer();
+				this.emit("update");
+				return Promise.resolve("skip");
 		}
+	}
 
-		// Diagonal.
-		let diagonal_points = 0;
-		for (let x=0; x < board.cols-3; x++) {
-			for (let y=board.rows-1; y > 2; y--) {
-				let cpt = y;
-				let nb_empty = 0;;
-				let nb_player_square = 0;
-
-				while (cpt > y-4) {
-					if (squares[x+(y-cpt)][cpt].isEmpty())
-						nb_empty++;
-					else if (squares[x+(y-cpt)][cpt].type === player.squareType)
-						nb_player_square++;
-					cpt--;	
-				}
+	/**
+	 * Get the timeouts in a row of a player.
+	 * 
+	 * @param {Player} player - the player.
+	 * @returns {number} - the number of timeouts.
+	 */
+	getTimeouts(player) {
+		return this._timeouts[this._players.indexOf(player)];
+	}
 
-				diagonal_points += this._calcScore(nb_empty, nb_player_square);
-			}
+	/**
+	 * A player forfeits, the opponent wins. In a game of more than two players, the player
+	 * leaves the game (the squares stay on the board) and the last player left wins.
+	 * 
+	 * @param {Player} player - the player.
+	 * @param {string} reason - "resign" or "timeout".
+	 * @throws {Error} - if the player isn't in the room or the game is over.
+	 */
+	forfeit(player, reason) {
+		const index = this._players.indexOf(player);
+		if (index === -1 || this._left.includes(index))
+			throw new Error("You are not a player of this game.");
+		if (this.isOver())
+			throw new Error("The game is over.");
+
+		if (this._players.length - this._left.length > 2) {
+			this._left.push(index);
+			if (this._currentPlayer === index)
+				this.swapPlayer();
+			this.emit("update");
+			return;
 		}
 
-		// Anti-Diagonal.
-		let anti_diagonal_points = 0;
-		for (let x=board.cols-1; x > 2; x--) {
-			for (let y=board.rows-1; y > 2; y--) {
-				let cpt = y;
-				let nb_empty = 0;;
-				let nb_player_square = 0;
-
-				while (cpt > y-4) {
-					if (squares[x-(y-cpt)][cpt].isEmpty())
-						nb_empty++;
-					else if (squares[x-(y-cpt)][cpt].type === player.squareType)
-						nb_player_square++;
-					cpt--;	
-				}
+		this._forfeited = index;
+		this._endReason = reason;
+		this.emit("update");
+	}
 
-				anti_diagonal_points += this._calcScore(nb_empty, nb_player_square);
-			}
-		}
+	/**
+	 * The players agree to a draw.
+	 * 
+	 * @throws {Error} - if the game is over.
+	 */
+	draw() {
+		if (this.isOver())
+			throw new Error("The game is over.");
 
-		//console.log(`Center: ${center_points} | Vertical: ${vertical_points} | Horizontal: ${horizontal_points} | Diagonal: ${diagonal_points} | Anti-Diagnoal: ${anti_diagonal_points}`);
-		return center_points + vertical_points + horizontal_points + diagonal_points + anti_diagonal_points;
+		this._endReason = "draw";
+		this.emit("update");
 	}
-	
+
+	/**
+	 * Swap the player.
+	 */
+	swapPlayer() {
+		this._currentPlayer = this._getNext(this._currentPlayer);
+	}
+
 	/**
-	 * Calcul the score of 4 squares.
+	 * Get the player who plays after another one (the players who left are skipped).
 	 * 
-	 * @param {number} nb_empty - number of empty squares.
-	 * @param {number} nb_square - number of square of a player.
-	 * @returns {number} - the score.
+	 * @param {number} index - the index of the player.
+	 * @returns {number} - the index of the next player.
 	 */
-	_calcScore(nb_empty, nb_square) {
-		switch (nb_empty) {
-			case 0:
-				switch (nb_square) {
-					case 0:
-						return OPP_WIN_POINTS;
-					case 4:
-						return WIN_POINTS;
-				}
-				break;
-			case 1:
-				switch (nb_square) {
-					case 0:
-						return OPP_LINES3_POINTS;
-					case 3:
-						return LINES3_POINTS;
-				}
-				break;
-			case 2:
-				switch (nb_square) {
-					case 0:
-						return OPP_LINES2_POINTS;
-					case 2:
-						return LINES2_POINTS;
-				}
-				break;
+	_getNext(index) {
+		let next = (index+1) % this._players.length;
+		while (this._left.includes(next))
+			next = (next+1) % this._players.length;
+		return next;
+	}
+
+	/**
+	 * Game is over.
+	 * 
+	 * @param {Board} - a board.
+	 * @returns {boolean} - true if the game is over.
+	 */
+	isOver(board) {
+		if (board === undefined) {
+			if (this._endReason !== null)
+				return true;
+			board = this._board;
 		}
-		return 0;
+		// In PopOut, a full board goes on with the pops.
+		return (!board.popout && board.getFree().length === 0) || this._getSquareTypeWinner(board) !== null;
 	}
 
 	/**
@@ -361,61 +709,11 @@ module.exports = class Room {
 		if (board === undefined)
 			board = this._board;
 
-		const squares = board._squares;
-
-		// Vertical.
-		for (let x=0; x < board.cols; x++) {
-			for (let y=board.rows-1; y > 2; y--) {
-				let cpt = y;
-				let currentType = squares[x][cpt].type;
-				while (cpt > y-4 && !squares[x][cpt].isEmpty() && squares[x][cpt].type === currentType)
-					cpt--;
-
-				if (cpt === y-4)
-					return currentType;
-			}
-		}
-
-		// Horizontal.
-		for (let y=board.rows-1; y >= 0; y--) {
-			for (let x=0; x < board.cols-3; x++) {
-				let cpt = x;
-				let currentType = squares[cpt][y].type;
-				while (cpt < x+4 && !squares[cpt][y].isEmpty() && squares[cpt][y].type === currentType)
-					cpt++;
-	
-				if (cpt === x+4)
-					return currentType;
-			}
-		}
-
-		// Diagonal.
-		for (let x=0; x < board.cols-3; x++) {
-			for (let y=board.rows-1; y > 2; y--) {
-				let cpt = y;
-				let currentType = squares[x][cpt].type;
-				while (cpt > y-4 && !squares[x+(y-cpt)][cpt].isEmpty() && squares[x+(y-cpt)][cpt].type === currentType)
-					cpt--;
-	
-				if (cpt === y-4)
-					return currentType;
-			}
-		}
-
-		// Anti-Diagonal.
-		for (let x=board.cols-1; x > 2; x--) {
-			for (let y=board.rows-1; y > 2; y--) {
-				let cpt = y;
-				let currentType = squares[x][cpt].type;
-				while (cpt > y-4 && !squares[x-(y-cpt)][cpt].isEmpty() && squares[x-(y-cpt)][cpt].type === currentType)
-					cpt--;
-	
-				if (cpt === y-4)
-					return currentType;
-			}
-		}
-
-		return null;
+		// A pop can connect the squares of both players: the player who popped wins (the turn doesn't pass at the end).
+		const position = board.toPosition();
+		if (position.isWin(this.currentPlayer.squareType))
+			return this.currentPlayer.squareType;
+		return position.getWinner();
 	}
 
 	/**
@@ -426,9 +724,76 @@ module.exports = class Room {
 	getWinner() {
 		if (!this.isOver())
 			throw new Error("Cannot get the winner while the game is in progress.");
+		if (["draw", "repetition", "blocked"].includes(this._endReason))
+			return null;
+		if (this._forfeited !== null)
+			return this._players.find((player, i) => i !== this._forfeited && !this._left.includes(i));
 
 		const typeWinner = this._getSquareTypeWinner();
 		if (typeWinner === null) return null;
-		return (this._players[0].squareType === typeWinner)? this._players[0] : this._players[1];
+		return this._players.find(player => player.squareType === typeWinner);
+	}
+
+	/**
+	 * Get the data of the room (used to save it).
+	 * 
+	 * @returns {Object} - the board, the players, the current player, the moves, the start, the takebacks, the hints and the timeouts
+	 * ({board, players, currentPlayer, moves, movers, startedAt, takebackLimit, takebacks, hintLimit, hints, timeout, forfeitAfter, timeouts, skipped, positions, left}).
+	 */
+	toJSON() {
+		return {
+			board: this._board.toJSON(),
+			players: this._players.map(player => ({id: (player.type === PlayerType.HUMAN)? player.id : null, type: player.type, squareType: player.squareType})),
+			currentPlayer: this._currentPlayer,
+			moves: this._moves,
+			movers: this._movers,
+			startedAt: this._startedAt,
+			takebackLimit: this._takebackLimit,
+			takebacks: this._takebacks,
+			hintLimit: this._hintLimit,
+			hints: this._hints,
+			timeout: this._timeout,
+			forfeitAfter: this._forfeitAfter,
+			timeouts: this._timeouts,
+			skipped: this._skipped,
+			positions: this._positions,
+			left: this._left
+		};
+	}
+
+	/**
+	 * Create a room from its data.
+	 * 
+	 * @param {Object} data - the data of the room (see toJSON).
+	 * @param {Array<GuildMember>} members - the member of each player (null if bot).
+	 * @throws {Error} - if the data is invalid.
+	 * @returns {Room} - the room.
+	 */
+	static fromJSON(data, members) {
+		const others = data.players.slice(2).map((player, i) => ({member: members[i+2], type: player.type}));
+		let room = new Room(members[0], members[1], data.players[1].type, {firstType: data.players[0].type, others});
+		room._board = Board.fromJSON(data.board);
+		room._players.forEach((player, i) => player.squareType = data.players[i].squareType);
+		room._currentPlayer = data.currentPlayer;
+		room._moves = data.moves;
+		room._startedAt = data.startedAt;
+		if (data.takebacks !== undefined) {
+			room._takebackLimit = data.takebackLimit;
+			room._takebacks = data.takebacks;
+		}
+		if (data.hints !== undefined) {
+			room._hintLimit = data.hintLimit;
+			room._hints = data.hints;
+		}
+		if (data.timeout !== undefined) {
+			room._timeout = data.timeout;
+			room._forfeitAfter = data.forfeitAfter;
+			room._timeouts = data.timeouts;
+			room._skipped = data.skipped;
+		}
+		room._positions = data.positions || {};
+		room._left = data.left || [];
+		room._movers = data.movers;
+		return room;
 	}
 }
\ No newline at end of file
@@ -0,0 +1,281 @@
+const SquareType = require("./SquareType");
+
+const WIN_POINTS = 10000;
+const OPP_WIN_POINTS = -1000;
+
+// The weights of the evaluation (a square in the center, the lines of 2 and 3 squares of each player).
+const WEIGHTS = {
+	center: 4,
+	lines2: 2,
+	lines3: 5,
+	oppLines2: -2,
+	oppLines3: -5
+};
+
+/**
+ * The search of the bots' moves.
+ */
+module.exports = class Search {
+
+	/**
+	 * Initialize the search.
+	 * 
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {SquareType} opponent - the type of square of the opponent (the next player).
+	 * @param {Object} weights - the weights of the evaluation which change ({center, lines2, lines3, oppLines2, oppLines3}).
+	 * @param {Array<SquareType>} others - the types of square of the other opponents in a game of more than two players,
+	 * in the order of their turns after the opponent (see paranoid).
+	 * @throws {Error} - if a weight is unknown.
+	 */
+	constructor(me, opponent, weights = {}, others = []) {
+		this._me = me;
+		this._opponent = opponent;
+		// The players in the order of their turns, from the bot.
+		this._players = [me, opponent].concat(others);
+		Search.validate(weights);
+		this._weights = Object.assign({}, WEIGHTS, weights);
+		// Score of a line by number of squares to connect, indexed by nb_empty*(connect+1) + nb_square.
+		this._lineScores = {};
+		// The columns from the center by number of columns (the best moves are often there, so the pruning cuts more).
+		this._columns = {};
+	}
+
+	/**
+	 * Check the weights of the evaluation.
+	 * 
+	 * @param {Object} weights - the weights which change (see constructor).
+	 * @throws {Error} - if a weight is unknown.
+	 */
+	static validate(weights) {
+		Object.keys(weights).forEach(key => {
+			if (WEIGHTS[key] === undefined || typeof weights[key] !== "number")
+				throw new Error(`The weights of the evaluation are ${Object.keys(WEIGHTS).map(weight => `\`${weight}\``).join(", ")} (numbers).`);
+		});
+	}
+
+	/**
+	 * Minimax algorithm (thanks to https://www.youtube.com/watch?v=y7AKtWGOPAE).
+	 * 
+	 * @param {Position} position - the position (played and undone in place).
+	 * @param {number} depth - the depth.
+	 * @param {number} alpha - alpha.
+	 * @param {number} beta - beta.
+	 * @param {boolean} isMaximizer - is maximizer.
+	 * @param {boolean} first - the first time this method is called.
+	 * @returns {number} - in the end the best move to play.
+	 */
+	minimax(position, depth, alpha, beta, isMaximizer, first) {
+		// The player who has just played wins first (even if a pop connects the squares of both players).
+		if (!first && position.isWin(isMaximizer? this._opponent : this._me))
+			return isMaximizer? OPP_WIN_POINTS : WIN_POINTS;
+		if (!first && position.popout && position.isWin(isMaximizer? this._me : this._opponent))
+			return isMaximizer? WIN_POINTS : OPP_WIN_POINTS;
+		if (position.isBlocked(isMaximizer? this._me : this._opponent))
+			return 0;
+
+		if (depth === 0)
+			return this.getScore(position, this._me);
+
+		if (isMaximizer) {
+			let maxEval = -Infinity;
+			let bestPos;
+			for (let pos of position.getMoves(this._me)) {
+				position.play(pos, this._me);
+				let currentEval = this.minimax(position, depth-1, alpha, beta, false, false);
+				position.undo();
+
+				if (currentEval > maxEval) {
+					maxEval = currentEval;
+					bestPos = pos;
+				}
+				alpha = Math.max(alpha, currentEval);
+				if (beta <= alpha)
+					break;
+			}
+
+			if (first)
+				return bestPos;
+
+			return maxEval;
+		}
+		else {
+			let minEval = Infinity;
+			for (let pos of position.getMoves(this._opponent)) {
+				position.play(pos, this._opponent);
+				let currentEval = this.minimax(position, depth-1, alpha, beta, true, false);
+				position.undo();
+
+				minEval = Math.min(currentEval, minEval);
+				beta = Math.min(beta, currentEval);
+				if (beta <= alpha)
+					break;
+			}
+
+			return minEval;
+		}
+	}
+
+	/**
+	 * Paranoid search, for the games of more than two players: the opponents are supposed
+	 * to play together against the bot, so it's a minimax where the bot maximizes
+	 * and each opponent minimizes in turn (with the alpha-beta pruning).
+	 * 
+	 * @param {Position} position - the position (played and undone in place).
+	 * @param {number} depth - the depth.
+	 * @param {number} alpha - alpha.
+	 * @param {number} beta - beta.
+	 * @param {number} turn - the index of the player to move (0 for the bot, then the opponents, see the constructor).
+	 * @param {boolean} first - the first time this method is called.
+	 * @returns {number} - in the end the best move to play.
+	 */
+	paranoid(position, depth, alpha, beta, turn, first) {
+		// Only the player who has just played can have won (sooner is better for the winner, so a
+		// bot which can't stop all the opponents still blocks the next win).
+		const last = this._players[(turn + this._players.length-1) % this._players.length];
+		if (!first && position.isWin(last))
+			return (last === this._me)? WIN_POINTS + depth : OPP_WIN_POINTS - depth;
+		if (position.isFull())
+			return 0;
+
+		if (depth === 0)
+			return this.getScore(position, this._me);
+
+		const next = (turn+1) % this._players.length;
+		let bestEval = (turn === 0)? -Infinity : Infinity;
+		let bestPos;
+		for (let pos of this._getColumns(position.cols)) {
+			if (!position.canPlay(pos))
+				continue;
+
+			position.play(pos, this._players[turn]);
+			let currentEval = this.paranoid(position, depth-1, alpha, beta, next, false);
+			position.undo();
+
+			if (turn === 0) {
+				if (currentEval > bestEval) {
+					bestEval = currentEval;
+					bestPos = pos;
+				}
+				alpha = Math.max(alpha, currentEval);
+			}
+			else {
+				bestEval = Math.min(currentEval, bestEval);
+				beta = Math.min(beta, currentEval);
+			}
+			if (beta <= alpha)
+				break;
+		}
+
+		if (first)
+			return bestPos;
+
+		return bestEval;
+	}
+
+	/**
+	 * Get the columns from the center to the sides.
+	 * 
+	 * @param {number} cols - the number of columns.
+	 * @returns {Array<number>} - the columns.
+	 */
+	_getColumns(cols) {
+		if (this._columns[cols] === undefined)
+			this._columns[cols] = [...Array(cols).keys()].sort((a, b) => Math.abs(a - (cols-1)/2) - Math.abs(b - (cols-1)/2));
+		return this._columns[cols];
+	}
+
+	/**
+	 * Get the score of the position.
+	 * 
+	 * @param {Position} position - a position.
+	 * @param {SquareType} type - the type of square of the player.
+	 * @returns {number} - the score of the position for this player. 
+	 */
+	getScore(position, type) {
+		const cells = position.cells;
+		const n = position.connect;
+
+		// Center.
+		let center_points = 0;
+		const center = Math.floor(position.cols/2) * position.rows;
+		for (let y=0; y < position.rows; y++) {
+			if (cells[center+y] === type)
+				center_points += this._weights.center;
+		}
+
+		// Vertical, horizontal, diagonal and anti-diagonal lines.
+		if (this._lineScores[n] === undefined) {
+			this._lineScores[n] = new Float64Array((n+1) * (n+1));
+			for (let nb_empty=0; nb_empty <= n; nb_empty++) {
+				for (let nb_square=0; nb_square <= n-nb_empty; nb_square++)
+					this._lineScores[n][nb_empty*(n+1) + nb_square] = this._calcScore(nb_empty, nb_square, n);
+			}
+		}
+		const lineScores = this._lineScores[n];
+
+		const windows = position.windows;
+		let lines_points = 0;
+		for (let w=0; w < windows.length; w += n) {
+			let nb_empty = 0;
+			let nb_player_square = 0;
+			// With more than two players, a line of squares of different opponents is lost for all of them.
+			let opponent = SquareType.EMPTY;
+			let mixed = false;
+
+			for (let i=w; i < w+n; i++) {
+				const square = cells[windows[i]];
+				if (square === SquareType.EMPTY)
+					nb_empty++;
+				else if (square === type)
+					nb_player_square++;
+				else if (opponent === SquareType.EMPTY)
+					opponent = square;
+				else if (square !== opponent)
+					mixed = true;
+			}
+
+			if (!mixed)
+				lines_points += lineScores[nb_empty*(n+1) + nb_player_square];
+		}
+
+		return center_points + lines_points;
+	}
+	
+	/**
+	 * Calcul the score of a line of squares.
+	 * 
+	 * @param {number} nb_empty - number of empty squares.
+	 * @param {number} nb_square - number of square of a player.
+	 * @param {number} connect - the number of squares in the line.
+	 * @returns {number} - the score.
+	 */
+	_calcScore(nb_empty, nb_square, connect) {
+		switch (nb_empty) {
+			case 0:
+				switch (nb_square) {
+					case 0:
+						return OPP_WIN_POINTS;
+					case connect:
+						return WIN_POINTS;
+				}
+				break;
+			case 1:
+				switch (nb_square) {
+					case 0:
+						return this._weights.oppLines3;
+					case connect-1:
+						return this._weights.lines3;
+				}
+				break;
+			case 2:
+				switch (nb_square) {
+					case 0:
+						return this._weights.oppLines2;
+					case connect-2:
+						return this._weights.lines2;
+				}
+				break;
+		}
+		return 0;
+	}
+}
\ No newline at end of file
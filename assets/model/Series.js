@@ -0,0 +1,186 @@
+const Room = require("./Room");
+const PlayerType = require("./PlayerType");
+
+const MAX_GAMES = 9;
+
+/**
+ * A series of games between two players (best of N games), the player who
+ * starts (with the blue squares) changes at each game.
+ */
+module.exports = class Series {
+
+	/**
+	 * Initialize the series.
+	 * 
+	 * @param {GuildMember} firstPlayer - the first player.
+	 * @param {GuildMember} secondPlayer - the second player (null if bot).
+	 * @param {PlayerType} secondType - the second player type (human or bot).
+	 * @param {number} bestOf - the number of games.
+	 * @param {Object} options - the options of the rooms.
+	 * @throws {Error} - if the number of games is invalid.
+	 */
+	constructor(firstPlayer, secondPlayer, secondType, bestOf, options = {}) {
+		Series.validate(bestOf);
+
+		this._members = [firstPlayer, secondPlayer];
+		this._secondType = secondType;
+		this._bestOf = bestOf;
+		this._options = options;
+		this._wins = [0, 0];
+		this._draws = 0;
+		// The index of the player who starts the next game (random against a member).
+		this._first = (secondType === PlayerType.HUMAN)? Math.floor(Math.random() * 2) : 0;
+		this._room = null;
+	}
+
+	/**
+	 * Check the number of games of a series.
+	 * 
+	 * @param {number} bestOf - the number of games.
+	 * @throws {Error} - if the number of games is invalid.
+	 */
+	static validate(bestOf) {
+		if (!Number.isInteger(bestOf) || bestOf < 1 || bestOf > MAX_GAMES)
+			throw new Error(`A series must have between 1 and ${MAX_GAMES} games.`);
+	}
+
+	/**
+	 * Get the members.
+	 * 
+	 * @returns {Array<GuildMember>} - the member of each player (null if bot).
+	 */
+	get members() {
+		return this._members;
+	}
+
+	/**
+	 * Get the type of the second player.
+	 * 
+	 * @returns {PlayerType} - the type.
+	 */
+	get secondType() {
+		return this._secondType;
+	}
+
+	/**
+	 * Get the number of games of the series.
+	 * 
+	 * @returns {number} - the number of games.
+	 */
+	get bestOf() {
+		return this._bestOf;
+	}
+
+	/**
+	 * Get the games won by each player.
+	 * 
+	 * @returns {Array<number>} - the wins of each player.
+	 */
+	get wins() {
+		return this._wins;
+	}
+
+	/**
+	 * Get the number of games played.
+	 * 
+	 * @returns {number} - the number of games.
+	 */
+	get played() {
+		return this._wins[0] + this._wins[1] + this._draws;
+	}
+
+	/**
+	 * Get the room of the game in progress.
+	 * 
+	 * @returns {Room} - the room (null if none).
+	 */
+	get room() {
+		return this._room;
+	}
+
+	/**
+	 * Set the room of the game in progress (after a restart).
+	 * 
+	 * @param {Room} room - the room.
+	 */
+	set room(room) {
+		this._room = room;
+	}
+
+	/**
+	 * The series is over (a player has won the majority of the games, or every game is played).
+	 * 
+	 * @returns {boolean} - true if the series is over.
+	 */
+	get over() {
+		return this._wins.some(wins => wins > this._bestOf/2) || this.played >= this._bestOf;
+	}
+
+	/**
+	 * Create the room of the next game.
+	 * 
+	 * @returns {Room} - the room.
+	 */
+	newRoom() {
+		this._room = new Room(this._members[0], this._members[1], this._secondType, Object.assign({}, this._options, {first: this._first}));
+		return this._room;
+	}
+
+	/**
+	 * Record the result of the game in progress.
+	 * 
+	 * @throws {Error} - if the game is in progress.
+	 */
+	record() {
+		const winner = this._room.getWinner();
+		if (winner === null)
+			this._draws++;
+		else
+			this._wins[this._room.players.indexOf(winner)]++;
+
+		this._first = (this._first+1) % 2;
+		this._room = null;
+	}
+
+	/**
+	 * Get the winner of the series.
+	 * 
+	 * @returns {number} - the index of the player (null if equality or not over).
+	 */
+	getWinner() {
+		if (!this.over || this._wins[0] === this._wins[1])
+			return null;
+		return (this._wins[0] > this._wins[1])? 0 : 1;
+	}
+
+	/**
+	 * Get the data of the series (used to save it).
+	 * 
+	 * @returns {Object} - the data ({bestOf, options, wins, draws, first}).
+	 */
+	toJSON() {
+		return {
+			bestOf: this._bestOf,
+			options: this._options,
+			wins: this._wins,
+			draws: this._draws,
+			first: this._first
+		};
+	}
+
+	/**
+	 * Create a series from its data.
+	 * 
+	 * @param {Object} data - the data of the series (see toJSON).
+	 * @param {Array<GuildMember>} members - the member of each player (null if bot).
+	 * @param {PlayerType} secondType - the type of the second player.
+	 * @returns {Series} - the series.
+	 */
+	static fromJSON(data, members, secondType) {
+		let series = new Series(members[0], members[1], secondType, data.bestOf, data.options);
+		series._wins = data.wins;
+		series._draws = data.draws;
+		series._first = data.first;
+		return series;
+	}
+}
\ No newline at end of file
@@ -0,0 +1,174 @@
+const config = require("config");
+const Storage = require("../storage/Storage");
+const TimeoutPolicy = require("./TimeoutPolicy");
+const registry = require("../bots/Registry");
+
+// The settings that a guild can change (their default value is in the config).
+const KEYS = ["prefix", "turnTimeout", "timeoutPolicy", "forfeitAfter", "channels", "difficulty", "emojis", "renderer", "buttons", "rankedHints", "deleteMoves"];
+// The renderers of the boards (an image, or the emojis if the images are not shown).
+const RENDERERS = ["image", "text"];
+const MIN_TIMEOUT = 10;
+const MAX_TIMEOUT = 600;
+const MAX_FORFEIT = 10;
+
+/**
+ * The settings of the guilds (the config by default).
+ */
+class Settings {
+
+	/**
+	 * Initialize the settings.
+	 */
+	constructor() {
+		// guild id => {key => value}
+		this._guilds = new Storage("settings");
+	}
+
+	/**
+	 * Get the names of the settings.
+	 * 
+	 * @returns {Array<string>} - the names.
+	 */
+	get keys() {
+		return KEYS;
+	}
+
+	/**
+	 * Get a setting of a guild.
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {string} key - the name of the setting.
+	 * @throws {Error} - if the setting doesn't exist.
+	 * @returns {Object} - the value of the guild (the default value if none).
+	 */
+	get(guild, key) {
+		this._checkKey(key);
+
+		const settings = this._guilds.get(guild) || {};
+		return (settings[key] === undefined)? config.get(key) : settings[key];
+	}
+
+	/**
+	 * The setting is changed by the guild.
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {string} key - the name of the setting.
+	 * @throws {Error} - if the setting doesn't exist.
+	 * @returns {boolean} - true if the guild has its own value.
+	 */
+	isSet(guild, key) {
+		this._checkKey(key);
+
+		const settings = this._guilds.get(guild) || {};
+		return settings[key] !== undefined;
+	}
+
+	/**
+	 * Set a setting of a guild.
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {string} key - the name of the setting.
+	 * @param {Object} value - the value.
+	 * @throws {Error} - if the setting doesn't exist.
+	 */
+	set(guild, key, value) {
+		this._checkKey(key);
+
+		let settings = this._guilds.get(guild) || {};
+		settings[key] = value;
+		this._guilds.set(guild, settings);
+	}
+
+	/**
+	 * Reset a setting of a guild to its default value.
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {string} key - the name of the setting (every setting if null).
+	 * @throws {Error} - if the setting doesn't exist.
+	 */
+	reset(guild, key) {
+		if (key === null) {
+			this._guilds.delete(guild); return;
+		}
+		this._checkKey(key);
+
+		let settings = this._guilds.get(guild) || {};
+		delete settings[key];
+		if (Object.keys(settings).length === 0)
+			this._guilds.delete(guild);
+		else
+			this._guilds.set(guild, settings);
+	}
+
+	/**
+	 * Parse the value of a setting written in a command.
+	 * 
+	 * @param {string} key - the name of the setting.
+	 * @param {Array<string>} args - the words of the value.
+	 * @throws {Error} - if the setting doesn't exist or the value is invalid.
+	 * @returns {Object} - the value.
+	 */
+	parse(key, args) {
+		this._checkKey(key);
+
+		switch (key) {
+			case "prefix":
+				if (args.length !== 1 || args[0].length < 1 || args[0].length > 5)
+					throw new Error("The prefix must have between 1 and 5 characters, without space.");
+				return args[0];
+			case "turnTimeout":
+				const timeout = parseInt(args[0]);
+				if (args.length !== 1 || !/^\d+$/.test(args[0]) || timeout < MIN_TIMEOUT || timeout > MAX_TIMEOUT)
+					throw new Error(`The turn timeout must be a number of seconds between ${MIN_TIMEOUT} and ${MAX_TIMEOUT}.`);
+				return timeout;
+			case "timeoutPolicy":
+				const policies = Object.values(TimeoutPolicy);
+				if (args.length !== 1 || !policies.includes(args[0].toLowerCase()))
+					throw new Error(`The timeout policy must be ${policies.map(policy => `\`${policy}\``).join(", ")}.`);
+				return args[0].toLowerCase();
+			case "forfeitAfter":
+				const forfeit = parseInt(args[0]);
+				if (args.length !== 1 || !/^\d+$/.test(args[0]) || forfeit < 1 || forfeit > MAX_FORFEIT)
+					throw new Error(`A player must forfeit after 1 to ${MAX_FORFEIT} timeouts.`);
+				return forfeit;
+			case "channels":
+				return args.map(arg => {
+					const channel = /^(?:<#)?(\d+)>?$/.exec(arg);
+					if (channel === null)
+						throw new Error("Mention the channels where the commands are allowed (e.g. `#games #connect4`).");
+					return channel[1];
+				});
+			case "difficulty":
+				// The default bot against which !connect4 starts ("ask" to choose it with the reactions).
+				const difficulties = ["ask"].concat(registry.names);
+				if (args.length !== 1 || !difficulties.includes(args[0].toLowerCase()))
+					throw new Error(`The difficulty must be ${difficulties.map(difficulty => `\`${difficulty}\``).join(", ")}.`);
+				return args[0].toLowerCase();
+			case "renderer":
+				if (args.length !== 1 || !RENDERERS.includes(args[0].toLowerCase()))
+					throw new Error(`The renderer must be ${RENDERERS.map(renderer => `\`${renderer}\``).join(" or ")}.`);
+				return args[0].toLowerCase();
+			case "emojis":
+				if (args.length !== 2 || args[0] === args[1])
+					throw new Error("Give two different emojis, for the blue and the red squares (e.g. `🟡 🔴`).");
+				return {blue: args[0], red: args[1]};
+			default:
+				if (args.length !== 1 || !["on", "off"].includes(args[0].toLowerCase()))
+					throw new Error(`The setting \`${key}\` must be \`on\` or \`off\`.`);
+				return args[0].toLowerCase() === "on";
+		}
+	}
+
+	/**
+	 * Check the name of a setting.
+	 * 
+	 * @param {string} key - the name of the setting.
+	 * @throws {Error} - if the setting doesn't exist.
+	 */
+	_checkKey(key) {
+		if (!KEYS.includes(key))
+			throw new Error(`Unknown setting \`${key}\`.`);
+	}
+}
+
+module.exports = new Settings();
\ No newline at end of file
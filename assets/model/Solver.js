@@ -0,0 +1,251 @@
+const SOLVED_POINTS = 1000000;
+
+// Flags of the transposition table's entries.
+const EXACT = 0;
+const LOWER = 1;
+const UPPER = 2;
+
+// Thrown when the time budget is spent.
+const TIMEOUT = new Error("The time budget is spent.");
+
+/**
+ * A solver of the game (negamax with a transposition table).
+ * 
+ * It searches deeper and deeper until the position is solved or the time
+ * budget is spent, in which case the leaves are scored by the heuristic.
+ * A won position is worth SOLVED_POINTS minus the number of moves played,
+ * so the quickest win (and the slowest loss) is preferred. In PopOut, the
+ * game has no end, so only the time budget stops the search.
+ */
+module.exports = class Solver {
+
+	/**
+	 * Initialize the solver.
+	 * 
+	 * @param {Function} evaluate - the heuristic (position, type) => score for this type.
+	 * @param {number} budget - the time budget of a search (ms).
+	 * @param {number} tableSize - the maximum number of positions kept in the table.
+	 */
+	constructor(evaluate, budget, tableSize) {
+		this._evaluate = evaluate;
+		this._budget = budget;
+		this._tableSize = tableSize;
+		this._table = new Map();
+		this._deadline = Infinity;
+		this._nodes = 0;
+	}
+
+	/**
+	 * Get the best position to play.
+	 * 
+	 * @param {Position} position - the position (played and undone in place).
+	 * @param {SquareType} me - the type of square of the player to move.
+	 * @param {SquareType} opponent - the type of square of the opponent.
+	 * @returns {number} - the best move to play.
+	 */
+	getBestPos(position, me, opponent) {
+		const start = Date.now();
+		const moves = position.moves;
+		const remaining = position.popout? Infinity : position.rows*position.cols - moves;
+		let bestPos = this._order(position, me, null)[0];
+
+		if (this._table.size > this._tableSize)
+			this._table.clear();
+
+		// The first iteration always ends, so there is always a move.
+		this._deadline = Infinity;
+		for (let depth=1; depth <= remaining; depth++) {
+			let alpha = -Infinity;
+			let bestIteration;
+
+			try {
+				for (const pos of this._order(position, me, bestPos)) {
+					position.play(pos, me);
+					const score = -this._negamax(position, depth-1, -Infinity, -alpha, opponent, me);
+					position.undo();
+
+					if (score > alpha) {
+						alpha = score;
+						bestIteration = pos;
+					}
+				}
+			}
+			catch (err) {
+				if (err !== TIMEOUT) throw err;
+				while (position.moves > moves)
+					position.undo();
+				break;
+			}
+
+			bestPos = bestIteration;
+			this._deadline = start + this._budget;
+
+			// Solved (a forced win or loss was found).
+			if (Math.abs(alpha) > SOLVED_POINTS/2)
+				break;
+		}
+
+		return bestPos;
+	}
+
+	/**
+	 * Get the exact score of every column to play (slower than getBestPos,
+	 * which only needs to know the best one). The pops of PopOut are not scored.
+	 * 
+	 * @param {Position} position - the position (played and undone in place).
+	 * @param {SquareType} me - the type of square of the player to move.
+	 * @param {SquareType} opponent - the type of square of the opponent.
+	 * @returns {Array<number>} - the score of each column for the player to move (null if the column is full).
+	 */
+	getScores(position, me, opponent) {
+		const start = Date.now();
+		const moves = position.moves;
+		const remaining = position.popout? Infinity : position.rows*position.cols - moves;
+		let scores = new Array(position.cols).fill(null);
+
+		if (this._table.size > this._tableSize)
+			this._table.clear();
+
+		// The first iteration always ends, so every column has a score.
+		this._deadline = Infinity;
+		for (let depth=1; depth <= remaining; depth++) {
+			let iteration = new Array(position.cols).fill(null);
+
+			try {
+				for (const pos of this._order(position, me, null).filter(pos => pos >= 0)) {
+					position.play(pos, me);
+					iteration[pos] = -this._negamax(position, depth-1, -Infinity, Infinity, opponent, me);
+					position.undo();
+				}
+			}
+			catch (err) {
+				if (err !== TIMEOUT) throw err;
+				while (position.moves > moves)
+					position.undo();
+				break;
+			}
+
+			scores = iteration;
+			this._deadline = start + this._budget;
+
+			// Solved (every column leads to a forced win or loss).
+			if (scores.every(score => score === null || Math.abs(score) > SOLVED_POINTS/2))
+				break;
+		}
+
+		return scores;
+	}
+
+	/**
+	 * The score is a forced win.
+	 * 
+	 * @param {number} score - a score.
+	 * @returns {boolean} - true if the score is a forced win.
+	 */
+	static isWin(score) {
+		return score > SOLVED_POINTS/2;
+	}
+
+	/**
+	 * The score is a forced loss.
+	 * 
+	 * @param {number} score - a score.
+	 * @returns {boolean} - true if the score is a forced loss.
+	 */
+	static isLoss(score) {
+		return score < -SOLVED_POINTS/2;
+	}
+
+	/**
+	 * Negamax algorithm with alpha-beta pruning.
+	 * 
+	 * @param {Position} position - the position.
+	 * @param {number} depth - the depth.
+	 * @param {number} alpha - alpha.
+	 * @param {number} beta - beta.
+	 * @param {SquareType} me - the type of square of the player to move.
+	 * @param {SquareType} opponent - the type of square of the player who has just played.
+	 * @throws {Error} - if the time budget is spent.
+	 * @returns {number} - the score of the position for the player to move.
+	 */
+	_negamax(position, depth, alpha, beta, me, opponent) {
+		if ((++this._nodes & 1023) === 0 && Date.now() > this._deadline)
+			throw TIMEOUT;
+
+		if (position.isWin(opponent))
+			return -(SOLVED_POINTS - position.moves);
+		// In PopOut, a pop can also connect the squares of the player to move.
+		if (position.popout && position.isWin(me))
+			return SOLVED_POINTS - position.moves;
+		if (position.isBlocked(me))
+			return 0;
+
+		// Win right now.
+		for (const pos of position.getMoves(me)) {
+			position.play(pos, me);
+			const win = position.isWin(me);
+			position.undo();
+			if (win)
+				return SOLVED_POINTS - position.moves - 1;
+		}
+
+		if (depth === 0)
+			return this._evaluate(position, me);
+
+		const key = position.key();
+		const entry = this._table.get(key);
+		let bestPos = null;
+		if (entry !== undefined) {
+			bestPos = entry.pos;
+			if (entry.depth >= depth) {
+				if (entry.flag === EXACT)
+					return entry.score;
+				if (entry.flag === LOWER)
+					alpha = Math.max(alpha, entry.score);
+				else
+					beta = Math.min(beta, entry.score);
+				if (alpha >= beta)
+					return entry.score;
+			}
+		}
+
+		const alphaOrig = alpha;
+		let best = -Infinity;
+		for (const pos of this._order(position, me, bestPos)) {
+			position.play(pos, me);
+			const score = -this._negamax(position, depth-1, -beta, -alpha, opponent, me);
+			position.undo();
+
+			if (score > best) {
+				best = score;
+				bestPos = pos;
+			}
+			alpha = Math.max(alpha, score);
+			if (alpha >= beta)
+				break;
+		}
+
+		const flag = (best <= alphaOrig)? UPPER : (best >= beta)? LOWER : EXACT;
+		this._table.set(key, {depth, score: best, flag, pos: bestPos});
+		return best;
+	}
+
+	/**
+	 * Get the moves of a player, the drops in the center columns first (then the pops).
+	 * 
+	 * @param {Position} position - the position.
+	 * @param {SquareType} type - the type of square of the player.
+	 * @param {number} first - a move to try before the others (null if none).
+	 * @returns {Array<number>} - the moves in the order to search them.
+	 */
+	_order(position, type, first) {
+		const center = (position.cols-1) / 2;
+		const rank = move => (move < 0)? position.cols + Math.abs(~move-center) : Math.abs(move-center);
+		let order = position.getMoves(type).sort((a, b) => rank(a) - rank(b));
+		if (first !== null && order.includes(first)) {
+			order.splice(order.indexOf(first), 1);
+			order.unshift(first);
+		}
+		return order;
+	}
+}
\ No newline at end of file
@@ -40,8 +40,15 @@ module.exports = class Square {
 	setType(type) {
 		if (!this.isEmpty())
 			throw new Error("The square is not empty.");
-		if (type !== SquareType.RED && type !== SquareType.BLUE)
+		if (type === SquareType.EMPTY || !Object.values(SquareType).includes(type))
 			throw new Error("Invalid type of square.");
 		this._type = type;
 	}
+
+	/**
+	 * Empty the square.
+	 */
+	clear() {
+		this._type = SquareType.EMPTY;
+	}
 }
\ No newline at end of file
@@ -4,5 +4,8 @@
 module.exports = {
 	RED: 0,
 	BLUE: 1,
-	EMPTY: 2
+	EMPTY: 2,
+	// The third and the fourth players (games of more than two players).
+	GREEN: 3,
+	PURPLE: 4
 };
\ No newline at end of file
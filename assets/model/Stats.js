@@ -0,0 +1,185 @@
+const Storage = require("../storage/Storage");
+const PlayerType = require("./PlayerType");
+
+const INITIAL_RATING = 1000;
+const K_FACTOR = 32;
+const WEEK = 7 * 24 * 3600 * 1000;
+
+/**
+ * The statistics of the players (finished games and Elo ratings), by guild.
+ */
+module.exports = class Stats {
+
+	/**
+	 * Initialize the statistics.
+	 */
+	constructor() {
+		// guild id => [{players: [{id, type}], winner, moves, hints, duration, endedAt}], the games of the last week
+		// (only the weekly leaderboard reads them, the ratings keep the rest).
+		this._games = new Storage("games");
+		// guild id => {members: {member id => record}, bots: {bot type => rating}}
+		this._ratings = new Storage("ratings");
+	}
+
+	/**
+	 * Record a finished game and update the ratings of its players (of two players).
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {Room} room - the room of the game.
+	 * @param {Player} winner - the winner (null if equality).
+	 */
+	record(guild, room, winner) {
+		const players = room.players;
+		// The games between bots are not recorded.
+		if (players.every(player => player.type !== PlayerType.HUMAN))
+			return;
+
+		const since = Date.now() - WEEK;
+		let games = (this._games.get(guild) || []).filter(game => game.endedAt >= since);
+		games.push({
+			players: players.map(player => ({id: (player.type === PlayerType.HUMAN)? player.id : null, type: player.type})),
+			winner: (winner === null)? null : players.indexOf(winner),
+			moves: room.moveCount,
+			hints: room.hints,
+			reason: room.endReason,
+			duration: room.duration,
+			endedAt: Date.now()
+		});
+		this._games.set(guild, games);
+
+		let ratings = this._ratings.get(guild) || {members: {}, bots: {}};
+		// The games of more than two players are only kept in the history (without rating).
+		if (players.length === 2) {
+			const human = players.find(player => player.type === PlayerType.HUMAN);
+			const other = players.find(player => player !== human);
+
+			// Score of the first human (1 win, 0.5 equality, 0 loss).
+			const score = (winner === null)? 0.5 : (winner === human)? 1 : 0;
+			const record = this._getRecord(ratings, human.id);
+
+			if (other.type === PlayerType.HUMAN) {
+				const otherRecord = this._getRecord(ratings, other.id);
+				[record.rating, otherRecord.rating] = this._elo(record.rating, otherRecord.rating, score);
+				this._count(record, score);
+				this._count(otherRecord, 1-score);
+			}
+			// Against a bot, the player has a rating for each type of bot.
+			else {
+				if (record.bots[other.type] === undefined)
+					record.bots[other.type] = {rating: INITIAL_RATING, wins: 0, losses: 0, draws: 0};
+				const botRating = (ratings.bots[other.type] === undefined)? INITIAL_RATING : ratings.bots[other.type];
+				[record.bots[other.type].rating, ratings.bots[other.type]] = this._elo(record.bots[other.type].rating, botRating, score);
+				this._count(record.bots[other.type], score);
+			}
+		}
+
+		// The hints used by the members.
+		players.forEach((player, i) => {
+			if (player.type === PlayerType.HUMAN) {
+				const playerRecord = this._getRecord(ratings, player.id);
+				playerRecord.hints = (playerRecord.hints || 0) + room.hints[i];
+			}
+		});
+
+		this._ratings.set(guild, ratings);
+	}
+
+	/**
+	 * Get the statistics of a member.
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {string} id - the id of the member.
+	 * @returns {Object} - the rating and the results against the members, against each bot, and the hints used ({rating, wins, losses, draws, bots, hints}).
+	 */
+	getMember(guild, id) {
+		const ratings = this._ratings.get(guild) || {members: {}, bots: {}};
+		return Object.assign({hints: 0}, ratings.members[id] || {rating: INITIAL_RATING, wins: 0, losses: 0, draws: 0, bots: {}});
+	}
+
+	/**
+	 * Get the members of a guild sorted by rating (games between members only).
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {number} limit - the maximum number of members.
+	 * @returns {Array<Object>} - the members ({id, rating, wins, losses, draws}).
+	 */
+	getLeaderboard(guild, limit) {
+		const ratings = this._ratings.get(guild) || {members: {}, bots: {}};
+		return Object.keys(ratings.members)
+		.map(id => Object.assign({id}, ratings.members[id]))
+		.filter(member => member.wins + member.losses + member.draws > 0)
+		.sort((a, b) => b.rating - a.rating)
+		.slice(0, limit);
+	}
+
+	/**
+	 * Get the members of a guild sorted by points over the last week
+	 * (1 point by win and 0.5 by equality, games between members only).
+	 * 
+	 * @param {string} guild - the id of the guild.
+	 * @param {number} limit - the maximum number of members.
+	 * @returns {Array<Object>} - the members ({id, points, wins, losses, draws}).
+	 */
+	getWeekly(guild, limit) {
+		const since = Date.now() - WEEK;
+		let members = {};
+
+		(this._games.get(guild) || [])
+		.filter(game => game.endedAt >= since && game.players.every(player => player.type === PlayerType.HUMAN))
+		.forEach(game => {
+			game.players.forEach((player, i) => {
+				if (members[player.id] === undefined)
+					members[player.id] = {id: player.id, points: 0, wins: 0, losses: 0, draws: 0};
+				const score = (game.winner === null)? 0.5 : (game.winner === i)? 1 : 0;
+				members[player.id].points += score;
+				this._count(members[player.id], score);
+			});
+		});
+
+		return Object.values(members)
+		.sort((a, b) => b.points - a.points)
+		.slice(0, limit);
+	}
+
+	/**
+	 * Get (or create) the record of a member.
+	 * 
+	 * @param {Object} ratings - the ratings of the guild.
+	 * @param {string} id - the id of the member.
+	 * @returns {Object} - the record of the member.
+	 */
+	_getRecord(ratings, id) {
+		if (ratings.members[id] === undefined)
+			ratings.members[id] = {rating: INITIAL_RATING, wins: 0, losses: 0, draws: 0, bots: {}};
+		return ratings.members[id];
+	}
+
+	/**
+	 * Count a result in a record.
+	 * 
+	 * @param {Object} record - the record ({wins, losses, draws}).
+	 * @param {number} score - the score (1 win, 0.5 equality, 0 loss).
+	 */
+	_count(record, score) {
+		if (score === 1)
+			record.wins++;
+		else if (score === 0)
+			record.losses++;
+		else
+			record.draws++;
+	}
+
+	/**
+	 * Calcul the new Elo ratings of two players.
+	 * 
+	 * @param {number} a - the rating of the first player.
+	 * @param {number} b - the rating of the second player.
+	 * @param {number} score - the score of the first player (1 win, 0.5 equality, 0 loss).
+	 * @returns {Array<number>} - the new ratings.
+	 */
+	_elo(a, b, score) {
+		const expected = 1 / (1 + Math.pow(10, (b-a) / 400));
+		const change = K_FACTOR * (score - expected);
+		return [a + change, b - change];
+	}
+}
\ No newline at end of file
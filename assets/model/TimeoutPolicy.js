@@ -0,0 +1,13 @@
+/**
+ * A policy applied when a member doesn't play in time.
+ */
+module.exports = {
+	// A random move is played.
+	RANDOM: "random",
+	// The turn is skipped.
+	SKIP: "skip",
+	// The turn is skipped, the player forfeits after some timeouts in a row.
+	FORFEIT: "forfeit",
+	// The game waits for the move.
+	PAUSE: "pause"
+};
\ No newline at end of file
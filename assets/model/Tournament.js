@@ -0,0 +1,314 @@
+const PlayerType = require("./PlayerType");
+
+const ELIMINATION = "elimination";
+const ROUND_ROBIN = "roundrobin";
+const MIN_PLAYERS = 2;
+const MAX_PLAYERS = 16;
+// The bots which fill the empty slots, in turn.
+const FILL_BOTS = [PlayerType.EASY_BOT, PlayerType.NORMAL_BOT, PlayerType.CHEAT_BOT];
+
+/**
+ * A tournament between members (and bots), in single elimination or round-robin.
+ * 
+ * The participants are seeded in their order of arrival. In elimination,
+ * a draw qualifies the best seed.
+ */
+module.exports = class Tournament {
+
+	/**
+	 * Initialize the tournament (the creator is the first participant).
+	 * 
+	 * @param {string} creator - the id of the member who creates the tournament.
+	 * @param {string} format - the format ("elimination" or "roundrobin").
+	 * @param {number} size - the number of participants (a power of 2 in elimination).
+	 * @param {Object} options - the options of the rooms ({rows, cols, connect, popout}).
+	 * @throws {Error} - if the format or the size is invalid.
+	 */
+	constructor(creator, format = ELIMINATION, size = 4, options = {}) {
+		if (format !== ELIMINATION && format !== ROUND_ROBIN)
+			throw new Error("The format of the tournament must be `elimination` or `roundrobin`.");
+		if (!Number.isInteger(size) || size < MIN_PLAYERS || size > MAX_PLAYERS)
+			throw new Error(`The tournament must have between ${MIN_PLAYERS} and ${MAX_PLAYERS} players.`);
+		if (format === ELIMINATION && (size & (size-1)) !== 0)
+			throw new Error("An elimination tournament must have 2, 4, 8 or 16 players.");
+
+		this._creator = creator;
+		this._format = format;
+		this._size = size;
+		this._options = options;
+		// [{id (null if bot), type}], by seed.
+		this._participants = [{id: creator, type: PlayerType.HUMAN}];
+		// [{round, a, b, winner}], a and b are seeds, winner is a seed, null if equality, undefined if not played.
+		this._matches = [];
+		this._started = false;
+	}
+
+	/**
+	 * Get the id of the creator.
+	 * 
+	 * @returns {string} - the id of the member.
+	 */
+	get creator() {
+		return this._creator;
+	}
+
+	/**
+	 * Get the format.
+	 * 
+	 * @returns {string} - "elimination" or "roundrobin".
+	 */
+	get format() {
+		return this._format;
+	}
+
+	/**
+	 * Get the number of participants.
+	 * 
+	 * @returns {number} - the number of participants.
+	 */
+	get size() {
+		return this._size;
+	}
+
+	/**
+	 * Get the options of the rooms.
+	 * 
+	 * @returns {Object} - the options ({rows, cols, connect, popout}).
+	 */
+	get options() {
+		return this._options;
+	}
+
+	/**
+	 * Get the participants.
+	 * 
+	 * @returns {Array<Object>} - the participants by seed ({id, type}).
+	 */
+	get participants() {
+		return this._participants;
+	}
+
+	/**
+	 * Get the matches.
+	 * 
+	 * @returns {Array<Object>} - the matches ({round, a, b, winner}).
+	 */
+	get matches() {
+		return this._matches;
+	}
+
+	/**
+	 * The tournament has started.
+	 * 
+	 * @returns {boolean} - true if started.
+	 */
+	get started() {
+		return this._started;
+	}
+
+	/**
+	 * The tournament is over.
+	 * 
+	 * @returns {boolean} - true if every match is played.
+	 */
+	get over() {
+		return this._started && this.getNextMatch() === null;
+	}
+
+	/**
+	 * A member joins the tournament.
+	 * 
+	 * @param {string} id - the id of the member.
+	 * @throws {Error} - if the member cannot join.
+	 */
+	join(id) {
+		if (this._started)
+			throw new Error("The tournament has already started.");
+		if (this._participants.some(participant => participant.id === id))
+			throw new Error("You have already joined the tournament.");
+		if (this._participants.length >= this._size)
+			throw new Error("The tournament is full.");
+
+		this._participants.push({id, type: PlayerType.HUMAN});
+	}
+
+	/**
+	 * Start the tournament (the empty slots are filled with bots).
+	 * 
+	 * @throws {Error} - if the tournament has already started.
+	 */
+	start() {
+		if (this._started)
+			throw new Error("The tournament has already started.");
+
+		for (let i=0; this._participants.length < this._size; i++)
+			this._participants.push({id: null, type: FILL_BOTS[i % FILL_BOTS.length]});
+
+		if (this._format === ELIMINATION)
+			this._addRound(0, this._participants.map((participant, seed) => seed));
+		else
+			this._addRoundRobin();
+		this._started = true;
+	}
+
+	/**
+	 * Get the next match to play.
+	 * 
+	 * @returns {Object} - the match and its index ({index, round, a, b, winner}, null if none).
+	 */
+	getNextMatch() {
+		const index = this._matches.findIndex(match => match.winner === undefined);
+		return (index === -1)? null : Object.assign({index}, this._matches[index]);
+	}
+
+	/**
+	 * Report the result of a match.
+	 * 
+	 * @param {number} index - the index of the match.
+	 * @param {number} winner - the seed of the winner (null if equality).
+	 * @throws {Error} - if the match is already played or the winner isn't one of its players.
+	 */
+	report(index, winner) {
+		const match = this._matches[index];
+		if (match === undefined || match.winner !== undefined)
+			throw new Error("This match is already played.");
+		if (winner !== null && winner !== match.a && winner !== match.b)
+			throw new Error("The winner isn't a player of this match.");
+
+		match.winner = winner;
+
+		// The next round of the elimination starts when every match of the round is played.
+		const round = this._matches.filter(other => other.round === match.round);
+		if (this._format === ELIMINATION && round.length > 1 && round.every(other => other.winner !== undefined))
+			this._addRound(match.round+1, round.map(other => this._getQualified(other)));
+	}
+
+	/**
+	 * Get the ranking of the participants (by points in round-robin, 1 by win and 0.5 by equality,
+	 * by round reached in elimination).
+	 * 
+	 * @returns {Array<Object>} - the participants sorted ({seed, id, type, points, wins, losses, draws, round}).
+	 */
+	getStandings() {
+		let standings = this._participants.map((participant, seed) => Object.assign({seed, points: 0, wins: 0, losses: 0, draws: 0, round: 0}, participant));
+
+		this._matches.filter(match => match.winner !== undefined).forEach(match => {
+			if (this._format === ELIMINATION)
+				standings[this._getQualified(match)].round = match.round+1;
+
+			[match.a, match.b].forEach(seed => {
+				const standing = standings[seed];
+				if (match.winner === null) {
+					standing.points += 0.5;
+					standing.draws++;
+				}
+				else if (match.winner === seed) {
+					standing.points++;
+					standing.wins++;
+				}
+				else
+					standing.losses++;
+			});
+		});
+
+		return standings.sort((a, b) => {
+			if (this._format === ELIMINATION && a.round !== b.round)
+				return b.round - a.round;
+			return (b.points - a.points) || (b.wins - a.wins) || (a.seed - b.seed);
+		});
+	}
+
+	/**
+	 * Get the winner of the tournament.
+	 * 
+	 * @returns {number} - the seed of the winner (null if the tournament isn't over).
+	 */
+	getWinner() {
+		if (!this.over)
+			return null;
+		if (this._format === ELIMINATION)
+			return this._getQualified(this._matches[this._matches.length-1]);
+		return this.getStandings()[0].seed;
+	}
+
+	/**
+	 * Get the participant qualified by a match of elimination.
+	 * 
+	 * @param {Object} match - the match.
+	 * @returns {number} - the seed of the winner, the best seed if equality.
+	 */
+	_getQualified(match) {
+		return (match.winner === null)? Math.min(match.a, match.b) : match.winner;
+	}
+
+	/**
+	 * Add a round of elimination (the best seed meets the worst one).
+	 * 
+	 * @param {number} round - the round.
+	 * @param {Array<number>} seeds - the seeds qualified for the round, in the order of the bracket.
+	 */
+	_addRound(round, seeds) {
+		if (round === 0) {
+			// Bracket order, so the two best seeds can only meet in the final.
+			let order = [0];
+			while (order.length < seeds.length)
+				order = order.reduce((next, seed) => next.concat([seed, order.length*2-1-seed]), []);
+			seeds = order;
+		}
+
+		for (let i=0; i < seeds.length; i += 2)
+			this._matches.push({round, a: seeds[i], b: seeds[i+1], winner: undefined});
+	}
+
+	/**
+	 * Add every match of the round-robin (circle method).
+	 */
+	_addRoundRobin() {
+		let seeds = this._participants.map((participant, seed) => seed);
+		// A bye for an odd number of participants.
+		if (seeds.length % 2 === 1)
+			seeds.push(null);
+
+		for (let round=0; round < seeds.length-1; round++) {
+			for (let i=0; i < seeds.length/2; i++) {
+				const a = seeds[i];
+				const b = seeds[seeds.length-1-i];
+				if (a !== null && b !== null)
+					this._matches.push({round, a, b, winner: undefined});
+			}
+			seeds.splice(1, 0, seeds.pop());
+		}
+	}
+
+	/**
+	 * Get the data of the tournament (used to save it).
+	 * 
+	 * @returns {Object} - the data ({creator, format, size, options, participants, matches, started}).
+	 */
+	toJSON() {
+		return {
+			creator: this._creator,
+			format: this._format,
+			size: this._size,
+			options: this._options,
+			participants: this._participants,
+			// JSON has no undefined.
+			matches: this._matches.map(match => Object.assign({}, match, {winner: (match.winner === undefined)? -1 : match.winner})),
+			started: this._started
+		};
+	}
+
+	/**
+	 * Create a tournament from its data.
+	 * 
+	 * @param {Object} data - the data of the tournament (see toJSON).
+	 * @returns {Tournament} - the tournament.
+	 */
+	static fromJSON(data) {
+		let tournament = new Tournament(data.creator, data.format, data.size, data.options);
+		tournament._participants = data.participants;
+		tournament._matches = data.matches.map(match => Object.assign({}, match, {winner: (match.winner === -1)? undefined : match.winner}));
+		tournament._started = data.started;
+		return tournament;
+	}
+}
\ No newline at end of file
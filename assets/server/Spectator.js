@@ -0,0 +1,196 @@
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+const view = require("../view/View");
+const PlayerType = require("../model/PlayerType");
+const SquareType = require("../model/SquareType");
+const WebSocket = require("./WebSocket");
+
+const VIEWER = path.join(__dirname, "public", "index.html");
+const COLORS = {[SquareType.BLUE]: "blue", [SquareType.RED]: "red", [SquareType.GREEN]: "green", [SquareType.PURPLE]: "purple", [SquareType.EMPTY]: null};
+
+/**
+ * A local HTTP server for the spectators (a web page, a stream overlay...):
+ * the rooms in progress and their boards in JSON, and their moves pushed
+ * over WebSocket as they are played.
+ * 
+ * GET /                 the viewer (index.html).
+ * GET /api/rooms        the rooms in progress.
+ * GET /api/rooms/:id    a room (the id of its channel).
+ * GET /ws               the WebSocket of the events: {type: "rooms", rooms} on connection,
+ *                       then {type: "add"|"move"|"update", room} and {type: "remove", id}.
+ */
+class Spectator {
+
+	/**
+	 * Initialize the server (not started).
+	 */
+	constructor() {
+		this._server = null;
+		this._game = null;
+		this._client = null;
+		this._sockets = [];
+	}
+
+	/**
+	 * Start the server.
+	 * 
+	 * @param {Game} game - the rooms in progress.
+	 * @param {Client} client - the client of the bot (the names of the channels, null if none).
+	 * @param {number} port - the port.
+	 * @param {string} host - the address listened (e.g. 127.0.0.1 to only accept the local spectators).
+	 * @returns {Promise} - when listening.
+	 */
+	start(game, client, port, host) {
+		this._game = game;
+		this._client = client;
+
+		game.ids.forEach(id => this._watch(id, game.getRoom(id)));
+		game.on("add", (id, room) => {
+			this._watch(id, room);
+			this._push({type: "add", room: this._getState(id, room)});
+		});
+		game.on("remove", id => this._push({type: "remove", id}));
+
+		this._server = http.createServer((request, response) => this._handle(request, response));
+		this._server.on("upgrade", (request, socket) => this._upgrade(request, socket));
+		return new Promise((resolve, reject) => {
+			this._server.once("error", reject);
+			this._server.listen(port, host, resolve);
+		});
+	}
+
+	/**
+	 * Push the changes of a room to the spectators.
+	 * 
+	 * @param {string} id - the id of the room.
+	 * @param {Room} room - the room.
+	 */
+	_watch(id, room) {
+		room.on("move", () => this._push({type: "move", room: this._getState(id, room)}));
+		room.on("update", () => this._push({type: "update", room: this._getState(id, room)}));
+	}
+
+	/**
+	 * Answer a request.
+	 * 
+	 * @param {IncomingMessage} request - the request.
+	 * @param {ServerResponse} response - the response.
+	 */
+	_handle(request, response) {
+		const url = request.url.split("?")[0];
+		const room = /^\/api\/rooms\/(\d+)$/.exec(url);
+
+		if (request.method !== "GET")
+			this._send(response, 405, {error: "Only GET is allowed."});
+		else if (url === "/" || url === "/index.html") {
+			fs.readFile(VIEWER, (err, data) => {
+				if (err) {
+					this._send(response, 500, {error: "The viewer is missing."}); return;
+				}
+				response.writeHead(200, {"Content-Type": "text/html; charset=utf-8"});
+				response.end(data);
+			});
+		}
+		else if (url === "/api/rooms")
+			this._send(response, 200, this._getRooms());
+		else if (room !== null && this._game.has(room[1]))
+			this._send(response, 200, this._getState(room[1], this._game.getRoom(room[1])));
+		else
+			this._send(response, 404, {error: "Not found."});
+	}
+
+	/**
+	 * Accept a spectator on the WebSocket.
+	 * 
+	 * @param {IncomingMessage} request - the request of the upgrade.
+	 * @param {Socket} socket - the socket.
+	 */
+	_upgrade(request, socket) {
+		let ws;
+		try {
+			if (request.url.split("?")[0] !== "/ws")
+				throw new Error("Not found.");
+			ws = new WebSocket(request, socket);
+		}
+		catch (err) {
+			socket.end("HTTP/1.1 400 Bad Request\r\n\r\n"); return;
+		}
+
+		this._sockets.push(ws);
+		ws.on("close", () => this._sockets.splice(this._sockets.indexOf(ws), 1));
+		ws.send(JSON.stringify({type: "rooms", rooms: this._getRooms()}));
+	}
+
+	/**
+	 * Send an event to every spectator.
+	 * 
+	 * @param {Object} event - the event.
+	 */
+	_push(event) {
+		const text = JSON.stringify(event);
+		this._sockets.forEach(ws => ws.send(text));
+	}
+
+	/**
+	 * Send a JSON response.
+	 * 
+	 * @param {ServerResponse} response - the response.
+	 * @param {number} status - the HTTP status.
+	 * @param {Object} data - the data.
+	 */
+	_send(response, status, data) {
+		response.writeHead(status, {"Content-Type": "application/json; charset=utf-8", "Access-Control-Allow-Origin": "*"});
+		response.end(JSON.stringify(data));
+	}
+
+	/**
+	 * Get the state of every room in progress.
+	 * 
+	 * @returns {Array<Object>} - the states (see _getState).
+	 */
+	_getRooms() {
+		return this._game.ids.map(id => this._getState(id, this._game.getRoom(id)));
+	}
+
+	/**
+	 * Get the state of a room.
+	 * 
+	 * @param {string} id - the id of the room (its channel).
+	 * @param {Room} room - the room.
+	 * @returns {Object} - the state ({id, channel, guild, cols, rows, connect, popout, grid: the colors of the squares by row from the top,
+	 * players: [{name, bot, color, left: true if the player left a game of more than two players}], current: the index of the current player, thinking, moves, lastMove, over, winner, reason}).
+	 */
+	_getState(id, room) {
+		const board = room.getBoard();
+		const channel = (this._client === null)? undefined : this._client.channels.cache.get(id);
+		const over = room.isOver();
+		const winner = over? room.getWinner() : null;
+
+		return {
+			id,
+			channel: (channel === undefined)? null : channel.name,
+			guild: (channel === undefined || channel.guild === undefined)? null : channel.guild.name,
+			cols: board.cols,
+			rows: board.rows,
+			connect: board.connect,
+			popout: board.popout,
+			grid: [...Array(board.rows).keys()].map(y => [...Array(board.cols).keys()].map(x => COLORS[board.getSquare(x, y).type])),
+			players: room.players.map(player => ({
+				name: (player.type === PlayerType.HUMAN)? player.member.displayName : view.getBotName(player.type),
+				bot: player.type !== PlayerType.HUMAN,
+				color: COLORS[player.squareType],
+				left: room.hasLeft(player)
+			})),
+			current: over? null : room.players.indexOf(room.currentPlayer),
+			thinking: room.thinking,
+			moves: room.moveString,
+			lastMove: room.lastMove,
+			over,
+			winner: (winner === null)? null : room.players.indexOf(winner),
+			reason: room.endReason
+		};
+	}
+}
+
+module.exports = new Spectator();
\ No newline at end of file
@@ -0,0 +1,157 @@
+const EventEmitter = require("events");
+const crypto = require("crypto");
+
+// The key of the handshake (RFC 6455).
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const TEXT = 0x1;
+const CLOSE = 0x8;
+const PING = 0x9;
+const PONG = 0xA;
+// The server only reads the control frames (a close, a ping), of 125 bytes at most.
+const MAX_FRAME = 125;
+// The close code of a frame too big.
+const TOO_BIG = 1009;
+
+/**
+ * A WebSocket connection accepted by the HTTP server (only what the spectators
+ * need: the text messages sent by the server, the pings and the close), without
+ * dependency. It emits "close" when the connection is closed.
+ */
+module.exports = class WebSocket extends EventEmitter {
+
+	/**
+	 * Accept the upgrade of an HTTP request.
+	 * 
+	 * @param {IncomingMessage} request - the request of the upgrade.
+	 * @param {Socket} socket - the socket of the request.
+	 * @throws {Error} - if the request is not a WebSocket handshake.
+	 */
+	constructor(request, socket) {
+		super();
+		const key = request.headers["sec-websocket-key"];
+		if ((request.headers.upgrade || "").toLowerCase() !== "websocket" || key === undefined)
+			throw new Error("Not a WebSocket handshake.");
+
+		this._socket = socket;
+		this._buffer = Buffer.alloc(0);
+		this._closed = false;
+
+		const accept = crypto.createHash("sha1").update(key + GUID).digest("base64");
+		socket.write(["HTTP/1.1 101 Switching Protocols", "Upgrade: websocket", "Connection: Upgrade", `Sec-WebSocket-Accept: ${accept}`, "", ""].join("\r\n"));
+
+		socket.on("data", data => this._read(data));
+		socket.on("close", () => this._end());
+		socket.on("error", () => this._end());
+	}
+
+	/**
+	 * Send a text message.
+	 * 
+	 * @param {string} text - the message.
+	 */
+	send(text) {
+		this._write(TEXT, Buffer.from(text));
+	}
+
+	/**
+	 * Close the connection.
+	 * 
+	 * @param {number} code - the status code of the close (null if none).
+	 */
+	close(code = null) {
+		let payload = Buffer.alloc((code === null)? 0 : 2);
+		if (code !== null)
+			payload.writeUInt16BE(code);
+		this._write(CLOSE, payload);
+		this._socket.end();
+		this._end();
+	}
+
+	/**
+	 * Read the frames received (masked by the clients). The data frames are ignored.
+	 * 
+	 * @param {Buffer} data - the data received.
+	 */
+	_read(data) {
+		if (this._closed)
+			return;
+		this._buffer = Buffer.concat([this._buffer, data]);
+
+		while (this._buffer.length >= 2) {
+			const opcode = this._buffer[0] & 0x0F;
+			const masked = (this._buffer[1] & 0x80) !== 0;
+			let length = this._buffer[1] & 0x7F;
+			let offset = 2;
+			if (length === 126) {
+				if (this._buffer.length < 4)
+					return;
+				length = this._buffer.readUInt16BE(2);
+				offset = 4;
+			}
+			else if (length === 127) {
+				if (this._buffer.length < 10)
+					return;
+				length = Number(this._buffer.readBigUInt64BE(2));
+				offset = 10;
+			}
+			// The frame is not buffered.
+			if (length > MAX_FRAME) {
+				this._buffer = Buffer.alloc(0);
+				this.close(TOO_BIG); return;
+			}
+
+			const mask = masked? this._buffer.slice(offset, offset+4) : null;
+			if (masked)
+				offset += 4;
+			if (this._buffer.length < offset + length)
+				return;
+
+			let payload = this._buffer.slice(offset, offset + length);
+			if (masked)
+				payload = payload.map((byte, i) => byte ^ mask[i%4]);
+			this._buffer = this._buffer.slice(offset + length);
+
+			if (opcode === CLOSE) {
+				this.close(); return;
+			}
+			if (opcode === PING)
+				this._write(PONG, payload);
+		}
+	}
+
+	/**
+	 * Write a frame (not masked, in one piece).
+	 * 
+	 * @param {number} opcode - the type of the frame.
+	 * @param {Buffer} payload - the data.
+	 */
+	_write(opcode, payload) {
+		if (this._closed)
+			return;
+
+		let header;
+		if (payload.length < 126)
+			header = Buffer.from([0x80 | opcode, payload.length]);
+		else if (payload.length < 65536) {
+			header = Buffer.from([0x80 | opcode, 126, 0, 0]);
+			header.writeUInt16BE(payload.length, 2);
+		}
+		else {
+			header = Buffer.alloc(10);
+			header.set([0x80 | opcode, 127]);
+			header.writeBigUInt64BE(BigInt(payload.length), 2);
+		}
+		this._socket.write(Buffer.concat([header, payload]));
+	}
+
+	/**
+	 * The connection is closed.
+	 */
+	_end() {
+		if (this._closed)
+			return;
+
+		this._closed = true;
+		this.emit("close");
+	}
+}
\ No newline at end of file
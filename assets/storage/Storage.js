@@ -0,0 +1,81 @@
+const fs = require("fs");
+const path = require("path");
+const config = require("config");
+
+/**
+ * A local store of data, saved as a JSON file in the data directory.
+ */
+module.exports = class Storage {
+
+	/**
+	 * Initialize the store (load the file if it exists).
+	 * 
+	 * @param {string} name - the name of the store (and of its file).
+	 */
+	constructor(name) {
+		this._file = path.resolve(config.get("dataDir"), `${name}.json`);
+		this._data = {};
+
+		if (fs.existsSync(this._file)) {
+			try {
+				this._data = JSON.parse(fs.readFileSync(this._file, "utf8"));
+			}
+			catch (err) {
+				console.error(`Couldn't read ${this._file}, it is ignored.`);
+			}
+		}
+	}
+
+	/**
+	 * Get a value.
+	 * 
+	 * @param {string} key - the key.
+	 * @returns {Object} - the value (undefined if none).
+	 */
+	get(key) {
+		return this._data[key];
+	}
+
+	/**
+	 * Set a value and save the store.
+	 * 
+	 * @param {string} key - the key.
+	 * @param {Object} value - the value (must be serializable in JSON).
+	 */
+	set(key, value) {
+		this._data[key] = value;
+		this._save();
+	}
+
+	/**
+	 * Delete a value and save the store.
+	 * 
+	 * @param {string} key - the key.
+	 */
+	delete(key) {
+		if (this._data[key] === undefined)
+			return;
+
+		delete this._data[key];
+		this._save();
+	}
+
+	/**
+	 * Get all the keys.
+	 * 
+	 * @returns {Array<string>} - the keys.
+	 */
+	keys() {
+		return Object.keys(this._data);
+	}
+
+	/**
+	 * Write the store in its file (through a temporary file, so a crash
+	 * while writing doesn't corrupt it).
+	 */
+	_save() {
+		fs.mkdirSync(path.dirname(this._file), {recursive: true});
+		fs.writeFileSync(`${this._file}.tmp`, JSON.stringify(this._data));
+		fs.renameSync(`${this._file}.tmp`, this._file);
+	}
+}
\ No newline at end of file
@@ -0,0 +1,166 @@
+const Transport = require("./Transport");
+const Turn = require("./Turn");
+const view = require("../view/View");
+const settings = require("../model/Settings");
+const MoveType = require("../model/MoveType");
+
+/**
+ * The games played in a Discord channel: the board is an embed, the moves are
+ * the reactions (or the buttons) under it.
+ */
+module.exports = class DiscordTransport extends Transport {
+
+	/**
+	 * Initialize the transport.
+	 * 
+	 * @param {GuildChannel} channel - the channel of the game.
+	 * @param {Function} collect - collects the reactions of a message (message, filter, options), see Controller._collect.
+	 */
+	constructor(channel, collect) {
+		super();
+		this._channel = channel;
+		this._collect = collect;
+	}
+
+	/**
+	 * Get the channel.
+	 * 
+	 * @returns {GuildChannel} - the channel of the game.
+	 */
+	get channel() {
+		return this._channel;
+	}
+
+	/**
+	 * Send the board in an embed.
+	 * 
+	 * @param {Room} room - the room.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @returns {Promise<Message>} - the board message.
+	 */
+	sendBoard(room, series) {
+		return view.showBoard(this._channel, room.getBoard(), room.currentPlayer, series, room.timeout, room.lastMove, this._getPlayers(room));
+	}
+
+	/**
+	 * Edit the board message.
+	 * 
+	 * @param {Message} message - the board message.
+	 * @param {Room} room - the room.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @returns {Promise<Message>} - the board message.
+	 */
+	updateBoard(message, room, series) {
+		return view.updateBoard(message, room.getBoard(), room.currentPlayer, room.thinking, series, room.timeout, room.lastMove, this._getPlayers(room));
+	}
+
+	/**
+	 * Get the players listed under the board (in a game of more than two players).
+	 * 
+	 * @param {Room} room - the room.
+	 * @returns {Array<Object>} - the players ([{player, left}], null if two players).
+	 */
+	_getPlayers(room) {
+		return (room.players.length > 2)? room.players.map(player => ({player, left: room.hasLeft(player)})) : null;
+	}
+
+	/**
+	 * Collect the reactions (or the buttons, see Controller.click) of the columns.
+	 * In PopOut, the pop emoji pressed before a column pops the square of the player out of it.
+	 * 
+	 * @param {Message} message - the board message.
+	 * @param {Room} room - the room.
+	 * @param {number} time - the time to play (s, null if no limit).
+	 * @returns {Turn} - the turn.
+	 */
+	awaitMove(message, room, time) {
+		const turn = new Turn(time);
+		const board = room.getBoard();
+		const nums = view.getColumnEmojis(board.cols);
+		const player = room.currentPlayer;
+		// The pop emoji was pressed (pressed again, it's cancelled).
+		let pop = false;
+
+		const filter = (reaction, user) => (nums.includes(reaction.emoji.name) || (board.popout && reaction.emoji.name === view.getPopEmoji())) && user.id === player.id;
+		const collector = this._collect(message, filter, {});
+		collector.on("collect", r => {
+			// Remove the reaction (needs the Manage Messages permission).
+			r.users.remove(player.member).catch(err => {});
+			if (r.emoji.name === view.getPopEmoji()) {
+				pop = !pop; return;
+			}
+
+			// The full columns (or without a square of the player at the bottom) are ignored.
+			const pos = nums.indexOf(r.emoji.name);
+			if (pop? board.canPop(pos, player.squareType) : board.hasFreeSquare(pos))
+				turn.play(pos, pop? MoveType.POP : MoveType.DROP);
+		});
+		turn.on("end", () => collector.stop("stopped"));
+
+		return turn;
+	}
+
+	/**
+	 * Ping the player in the channel.
+	 * 
+	 * @param {Player} player - the player.
+	 * @param {number} left - the seconds left.
+	 * @returns {Promise<Message>} - the warning message.
+	 */
+	warnTurn(player, left) {
+		return view.warnTurn(this._channel, player.member, left);
+	}
+
+	/**
+	 * Delete a warning message.
+	 * 
+	 * @param {Message} message - the warning message.
+	 */
+	removeWarning(message) {
+		message.delete().catch(err => {});
+	}
+
+	/**
+	 * Send an information in the channel.
+	 * 
+	 * @param {string} text - the information.
+	 */
+	showInfo(text) {
+		view.showInfo(this._channel, text);
+	}
+
+	/**
+	 * Send an error in the channel.
+	 * 
+	 * @param {string} text - the error.
+	 */
+	showError(text) {
+		view.showError(this._channel, text);
+	}
+
+	/**
+	 * Send the winner (with the moves and the score of the series).
+	 * 
+	 * @param {Room} room - the room (over).
+	 * @param {Series} series - the series of the room (null if none).
+	 * @param {string} moves - the moves in column notation (null if the game can't be replayed).
+	 * @returns {Promise<Message>} - the message of the result.
+	 */
+	announceResult(room, series, moves) {
+		return view.showWinner(this._channel, room.getWinner(), room.getBoard(), moves, series, this._getEndReason(room));
+	}
+
+	/**
+	 * Announce a timeout (a paused game can be stopped with the command).
+	 * 
+	 * @param {Room} room - the room.
+	 * @param {Player} player - the player.
+	 * @param {string} action - the action of the timeout policy.
+	 */
+	announceTimeout(room, player, action) {
+		if (action === "pause")
+			this.showInfo(`⏸️ ${this._getName(player)} didn't play in time, the game is paused until the next move (or \`${settings.get(this._channel.guild.id, "prefix")}stop\`).`);
+		else
+			super.announceTimeout(room, player, action);
+	}
+}
\ No newline at end of file
@@ -0,0 +1,255 @@
+const readline = require("readline");
+const Transport = require("./Transport");
+const Turn = require("./Turn");
+const PlayerType = require("../model/PlayerType");
+const SquareType = require("../model/SquareType");
+
+// The squares in the terminal (colored if the output is a terminal).
+const SQUARES = {
+	[SquareType.EMPTY]: ["·", "·"],
+	[SquareType.BLUE]: ["X", "\x1b[34mX\x1b[0m"],
+	[SquareType.RED]: ["O", "\x1b[31mO\x1b[0m"],
+	[SquareType.GREEN]: ["V", "\x1b[32mV\x1b[0m"],
+	[SquareType.PURPLE]: ["W", "\x1b[35mW\x1b[0m"]
+};
+
+/**
+ * The games played in a terminal: the board is printed after each move, the
+ * members sharing the terminal write the number of the column when it's their turn.
+ */
+module.exports = class TerminalTransport extends Transport {
+
+	/**
+	 * Initialize the transport.
+	 * 
+	 * @param {Readable} input - the input of the moves (e.g. process.stdin).
+	 * @param {Writable} output - the output of the boards (e.g. process.stdout).
+	 * @param {Object} commands - the commands which can be written instead of a move (word => function).
+	 */
+	constructor(input, output, commands = {}) {
+		super();
+		this._output = output;
+		this._color = output.isTTY === true;
+		this._commands = commands;
+		this._rl = readline.createInterface({input, output});
+		// The turn waiting for a move, and its room (null if none).
+		this._turn = null;
+		this._room = null;
+		// The lines not read yet (the moves written before the turn, e.g. from a file).
+		this._lines = [];
+		this._closed = false;
+
+		this._rl.on("line", line => {
+			this._lines.push(line.trim());
+			this._read();
+		});
+		this._rl.on("close", () => {
+			this._closed = true;
+			this._read();
+		});
+	}
+
+	/**
+	 * Print the board of a new game.
+	 * 
+	 * @param {Room} room - the room.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @returns {Promise<Object>} - nothing to update (the board is printed again).
+	 */
+	sendBoard(room, series) {
+		return this.updateBoard(null, room, series);
+	}
+
+	/**
+	 * Print the board.
+	 * 
+	 * @param {Object} board - nothing (see sendBoard).
+	 * @param {Room} room - the room.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @returns {Promise<Object>} - nothing.
+	 */
+	updateBoard(board, room, series) {
+		const player = room.currentPlayer;
+		let title = room.isOver()? "Final board." : (player.type === PlayerType.HUMAN)? `${player.member.displayName}'s turn.` : room.thinking? "🤔 Bot is thinking…" : "Bot's turn.";
+		if (series)
+			title += ` Game ${series.played+1}/${series.bestOf} (${this._createSeriesScore(series)})`;
+
+		this._write(`\n${title}\n${this._createGrid(room.getBoard())}\n`);
+		return Promise.resolve(null);
+	}
+
+	/**
+	 * Prompt the current player to write a column.
+	 * 
+	 * @param {Object} board - nothing (see sendBoard).
+	 * @param {Room} room - the room.
+	 * @param {number} time - the time to play (s, null if no limit).
+	 * @returns {Turn} - the turn.
+	 */
+	awaitMove(board, room, time) {
+		const turn = new Turn(time);
+		this._turn = turn;
+		this._room = room;
+		turn.on("end", () => {
+			if (this._turn === turn)
+				this._turn = null;
+		});
+
+		const player = room.currentPlayer;
+		const cols = room.getBoard().cols;
+		this._rl.setPrompt(`${player.member.displayName} (${this._getSquare(player.squareType)}), your move (1-${cols}${room.getBoard().popout? `, p1-p${cols} to pop` : ""}): `);
+		if (this._lines.length === 0 && !this._closed)
+			this._rl.prompt();
+		// After the listeners of the turn are added.
+		setImmediate(() => this._read());
+		return turn;
+	}
+
+	/**
+	 * Print a warning.
+	 * 
+	 * @param {Player} player - the player.
+	 * @param {number} left - the seconds left.
+	 * @returns {Promise<Object>} - nothing to remove.
+	 */
+	warnTurn(player, left) {
+		this.showInfo(`⏰ ${player.member.displayName}, ${left} seconds left to play.`);
+		return Promise.resolve(null);
+	}
+
+	/**
+	 * A printed warning can't be removed.
+	 * 
+	 * @param {Object} warning - nothing.
+	 */
+	removeWarning(warning) {
+	}
+
+	/**
+	 * Print an information.
+	 * 
+	 * @param {string} text - the information.
+	 */
+	showInfo(text) {
+		this._write(`${text}\n`);
+	}
+
+	/**
+	 * Print an error.
+	 * 
+	 * @param {string} text - the error.
+	 */
+	showError(text) {
+		this._write(`❌ ${text}\n`);
+	}
+
+	/**
+	 * Print the winner (with the moves).
+	 * 
+	 * @param {Room} room - the room (over).
+	 * @param {Series} series - the series of the room (null if none).
+	 * @param {string} moves - the moves in column notation (null if the game can't be replayed).
+	 * @returns {Promise<Object>} - nothing.
+	 */
+	announceResult(room, series, moves) {
+		const winner = room.getWinner();
+		let text = (winner === null)? "🤜🤛 There is equality !" : (winner.type !== PlayerType.HUMAN)? "👑 The bot wins !" : `👑 The winner is ${winner.member.displayName} !`;
+		if (series)
+			text += ` (${this._createSeriesScore(series)})`;
+
+		const reason = this._getEndReason(room);
+		if (reason !== null)
+			text += `\n${reason}`;
+		if (moves !== null)
+			text += `\n📜 Moves: ${moves}`;
+
+		this.showInfo(text);
+		return Promise.resolve(null);
+	}
+
+	/**
+	 * Stop reading the terminal.
+	 */
+	close() {
+		this._rl.close();
+	}
+
+	/**
+	 * Read the lines written in the terminal when it's the turn of a member (a move or a command),
+	 * and quit when the input ends before the end of the game.
+	 */
+	_read() {
+		while (this._lines.length > 0 && this._turn !== null) {
+			const line = this._lines.shift();
+			const command = this._commands[line.toLowerCase()];
+			if (command !== undefined)
+				command();
+			else if (line !== "")
+				this._readMove(line);
+		}
+
+		if (this._closed && this._turn !== null && this._commands.quit !== undefined)
+			this._commands.quit();
+	}
+
+	/**
+	 * Play the move written by the current player.
+	 * 
+	 * @param {string} line - the column (from 1, with a p before it to pop in PopOut).
+	 */
+	_readMove(line) {
+		let move;
+		try {
+			move = this._room.parseMove(line);
+		}
+		catch (err) {
+			this.showError(err.message);
+			this._rl.prompt();
+			return;
+		}
+		this._turn.play(move.pos, move.type);
+	}
+
+	/**
+	 * Create the grid of a board.
+	 * 
+	 * @param {Board} board - the board.
+	 * @returns {string} - the lines of the grid, with the numbers of the columns.
+	 */
+	_createGrid(board) {
+		let lines = [[...Array(board.cols).keys()].map(x => `${x+1}`.padStart(2)).join("")];
+		for (let y=0; y < board.rows; y++)
+			lines.push([...Array(board.cols).keys()].map(x => ` ${this._getSquare(board.getSquare(x, y).type)}`).join(""));
+		return lines.join("\n");
+	}
+
+	/**
+	 * Get the character of a square.
+	 * 
+	 * @param {SquareType} type - the type of the square.
+	 * @returns {string} - the character (colored in a terminal).
+	 */
+	_getSquare(type) {
+		return SQUARES[type][this._color? 1 : 0];
+	}
+
+	/**
+	 * Create the score of a series.
+	 * 
+	 * @param {Series} series - the series.
+	 * @returns {string} - the score (e.g. "Ann 2 - 1 Bob").
+	 */
+	_createSeriesScore(series) {
+		const [first, second] = series.members.map(member => (member === null)? "Bot" : member.displayName);
+		return `${first} ${series.wins[0]} - ${series.wins[1]} ${second}`;
+	}
+
+	/**
+	 * Write in the output.
+	 * 
+	 * @param {string} text - the text.
+	 */
+	_write(text) {
+		this._output.write(text);
+	}
+}
\ No newline at end of file
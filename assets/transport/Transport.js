@@ -0,0 +1,158 @@
+const PlayerType = require("../model/PlayerType");
+const TimeoutPolicy = require("../model/TimeoutPolicy");
+
+/**
+ * The place where a game is shown and played (a Discord channel, a terminal...).
+ * A session sends the board, waits for the moves and announces the result
+ * through it, the subclasses implement the methods for their front end.
+ */
+module.exports = class Transport {
+
+	/**
+	 * Show the board of a new game.
+	 * 
+	 * @param {Room} room - the room.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @returns {Promise<Object>} - the board shown (given back to update it).
+	 */
+	sendBoard(room, series) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Show the new state of the board.
+	 * 
+	 * @param {Object} board - the board shown (see sendBoard).
+	 * @param {Room} room - the room.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @returns {Promise<Object>} - the board shown.
+	 */
+	updateBoard(board, room, series) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Wait for the move of the current player (a member).
+	 * 
+	 * @param {Object} board - the board shown (see sendBoard).
+	 * @param {Room} room - the room.
+	 * @param {number} time - the time to play (s, null if no limit).
+	 * @returns {Turn} - the turn, which receives the moves.
+	 */
+	awaitMove(board, room, time) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Warn a player that the time to play is running out.
+	 * 
+	 * @param {Player} player - the player.
+	 * @param {number} left - the seconds left.
+	 * @returns {Promise<Object>} - the warning (removed at the end of the turn).
+	 */
+	warnTurn(player, left) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Remove a warning.
+	 * 
+	 * @param {Object} warning - the warning (see warnTurn).
+	 */
+	removeWarning(warning) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Show an information.
+	 * 
+	 * @param {string} text - the information.
+	 */
+	showInfo(text) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Show an error.
+	 * 
+	 * @param {string} text - the error.
+	 */
+	showError(text) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Announce the result of a game.
+	 * 
+	 * @param {Room} room - the room (over).
+	 * @param {Series} series - the series of the room, with the result recorded (null if none).
+	 * @param {string} moves - the moves in column notation (null if the game can't be replayed).
+	 * @returns {Promise<Object>} - the announcement.
+	 */
+	announceResult(room, series, moves) {
+		throw new Error("Not implemented.");
+	}
+
+	/**
+	 * Announce what happened to a player who didn't play in time.
+	 * 
+	 * @param {Room} room - the room.
+	 * @param {Player} player - the player.
+	 * @param {string} action - the action of the timeout policy ("random", "skip", "forfeit" or "pause").
+	 */
+	announceTimeout(room, player, action) {
+		const name = this._getName(player);
+		switch (action) {
+			case "random":
+				this.showInfo(`⏰ ${name} didn't play in time, a random move was played.`);
+				break;
+			case "skip":
+				if (room.timeout.policy === TimeoutPolicy.FORFEIT)
+					this.showInfo(`⏰ ${name} didn't play in time and skips the turn (${room.getTimeouts(player)}/${room.timeout.forfeitAfter} timeouts in a row before forfeiting).`);
+				else
+					this.showInfo(`⏰ ${name} didn't play in time and skips the turn.`);
+				break;
+			case "pause":
+				this.showInfo(`⏸️ ${name} didn't play in time, the game is paused until the next move.`);
+				break;
+			case "forfeit":
+				// In a game of more than two players, the others go on (else the result explains it).
+				if (!room.isOver())
+					this.showInfo(`⏰ ${name} forfeited after ${room.timeout.forfeitAfter} timeouts in a row and leaves the game.`);
+				break;
+		}
+	}
+
+	/**
+	 * Get the name of a player.
+	 * 
+	 * @param {Player} player - the player.
+	 * @returns {string} - the name.
+	 */
+	_getName(player) {
+		return (player.type === PlayerType.HUMAN)? player.member.displayName : "The bot";
+	}
+
+	/**
+	 * Explain why a game ended before the end of the board.
+	 * 
+	 * @param {Room} room - the room (over).
+	 * @returns {string} - the reason (null if the board ended the game).
+	 */
+	_getEndReason(room) {
+		switch (room.endReason) {
+			case "resign":
+				return `🏳️ ${room.forfeited.member.displayName} resigned.`;
+			case "timeout":
+				return `⏰ ${room.forfeited.member.displayName} forfeited after ${room.timeout.forfeitAfter} timeouts in a row.`;
+			case "draw":
+				return "🤝 The players agreed to a draw.";
+			case "repetition":
+				return "🔁 The same position came three times.";
+			case "blocked":
+				return "🧱 The board is full and the player to move has no square to pop.";
+			default:
+				return null;
+		}
+	}
+}
\ No newline at end of file
@@ -0,0 +1,55 @@
+const EventEmitter = require("events");
+const MoveType = require("../model/MoveType");
+
+/**
+ * The wait for the move of a player, created by a transport. It emits "move"
+ * (the column from 0, and the MoveType) for each move received, and "end" (the reason: "time"
+ * if the player didn't play in time, "stopped" otherwise) once.
+ */
+module.exports = class Turn extends EventEmitter {
+
+	/**
+	 * Initialize the turn.
+	 * 
+	 * @param {number} time - the time to play (s, null if no limit).
+	 */
+	constructor(time) {
+		super();
+		this._ended = false;
+		this._timer = (time === null)? null : setTimeout(() => this.stop("time"), time*1000);
+	}
+
+	/**
+	 * The turn is over.
+	 * 
+	 * @returns {boolean} - true if ended.
+	 */
+	get ended() {
+		return this._ended;
+	}
+
+	/**
+	 * Receive a move of the player.
+	 * 
+	 * @param {number} pos - the column (from 0).
+	 * @param {MoveType} type - a square dropped, or popped (PopOut).
+	 */
+	play(pos, type = MoveType.DROP) {
+		if (!this._ended)
+			this.emit("move", pos, type);
+	}
+
+	/**
+	 * End the turn.
+	 * 
+	 * @param {string} reason - the reason ("time" or "stopped").
+	 */
+	stop(reason = "stopped") {
+		if (this._ended)
+			return;
+
+		this._ended = true;
+		clearTimeout(this._timer);
+		this.emit("end", reason);
+	}
+}
\ No newline at end of file
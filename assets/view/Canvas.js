@@ -0,0 +1,197 @@
+const zlib = require("zlib");
+
+// The digits drawn on the images (5x7 pixels, a line by row).
+const DIGITS = {
+	"0": ["01110", "10001", "10011", "10101", "11001", "10001", "01110"],
+	"1": ["00100", "01100", "00100", "00100", "00100", "00100", "01110"],
+	"2": ["01110", "10001", "00001", "00010", "00100", "01000", "11111"],
+	"3": ["11110", "00001", "00001", "01110", "00001", "00001", "11110"],
+	"4": ["00010", "00110", "01010", "10010", "11111", "00010", "00010"],
+	"5": ["11111", "10000", "11110", "00001", "00001", "10001", "01110"],
+	"6": ["00110", "01000", "10000", "11110", "10001", "10001", "01110"],
+	"7": ["11111", "00001", "00010", "00100", "01000", "01000", "01000"],
+	"8": ["01110", "10001", "10001", "01110", "10001", "10001", "01110"],
+	"9": ["01110", "10001", "10001", "01111", "00001", "00010", "01100"]
+};
+
+// The table of the CRC of the PNG chunks.
+const CRC_TABLE = [];
+for (let n=0; n < 256; n++) {
+	let c = n;
+	for (let k=0; k < 8; k++)
+		c = (c & 1)? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+	CRC_TABLE.push(c >>> 0);
+}
+
+/**
+ * An image in memory (RGB) with a few drawing operations, encoded in PNG
+ * without native dependency (the compression comes from zlib of Node).
+ */
+module.exports = class Canvas {
+
+	/**
+	 * Initialize the image.
+	 * 
+	 * @param {number} width - the width (px).
+	 * @param {number} height - the height (px).
+	 * @param {Array<number>} background - the color of the background ([r, g, b]).
+	 */
+	constructor(width, height, background = [255, 255, 255]) {
+		this._width = width;
+		this._height = height;
+		this._pixels = Buffer.alloc(width * height * 3);
+		this.fillRect(0, 0, width, height, background);
+	}
+
+	/**
+	 * Get the width.
+	 * 
+	 * @returns {number} - the width (px).
+	 */
+	get width() {
+		return this._width;
+	}
+
+	/**
+	 * Get the height.
+	 * 
+	 * @returns {number} - the height (px).
+	 */
+	get height() {
+		return this._height;
+	}
+
+	/**
+	 * Fill a rectangle.
+	 * 
+	 * @param {number} x - the left (px).
+	 * @param {number} y - the top (px).
+	 * @param {number} width - the width (px).
+	 * @param {number} height - the height (px).
+	 * @param {Array<number>} color - the color ([r, g, b]).
+	 */
+	fillRect(x, y, width, height, color) {
+		for (let py=Math.max(0, y); py < Math.min(this._height, y+height); py++) {
+			for (let px=Math.max(0, x); px < Math.min(this._width, x+width); px++)
+				this._setPixel(px, py, color, 1);
+		}
+	}
+
+	/**
+	 * Fill a circle (with smooth edges).
+	 * 
+	 * @param {number} cx - the x of the center (px).
+	 * @param {number} cy - the y of the center (px).
+	 * @param {number} radius - the radius (px).
+	 * @param {Array<number>} color - the color ([r, g, b]).
+	 */
+	fillCircle(cx, cy, radius, color) {
+		this.fillRing(cx, cy, 0, radius, color);
+	}
+
+	/**
+	 * Fill a ring between two circles (with smooth edges).
+	 * 
+	 * @param {number} cx - the x of the center (px).
+	 * @param {number} cy - the y of the center (px).
+	 * @param {number} inner - the radius of the hole (px).
+	 * @param {number} outer - the radius of the ring (px).
+	 * @param {Array<number>} color - the color ([r, g, b]).
+	 */
+	fillRing(cx, cy, inner, outer, color) {
+		for (let py=Math.max(0, Math.floor(cy-outer-1)); py <= Math.min(this._height-1, Math.ceil(cy+outer+1)); py++) {
+			for (let px=Math.max(0, Math.floor(cx-outer-1)); px <= Math.min(this._width-1, Math.ceil(cx+outer+1)); px++) {
+				const distance = Math.hypot(px+0.5-cx, py+0.5-cy);
+				// The part of the pixel covered by the ring.
+				const alpha = Math.min(1, Math.max(0, outer - distance + 0.5)) - ((inner > 0)? Math.min(1, Math.max(0, inner - distance + 0.5)) : 0);
+				if (alpha > 0)
+					this._setPixel(px, py, color, alpha);
+			}
+		}
+	}
+
+	/**
+	 * Draw a number, centered on a point.
+	 * 
+	 * @param {number} cx - the x of the center (px).
+	 * @param {number} cy - the y of the center (px).
+	 * @param {string} text - the digits.
+	 * @param {number} scale - the size of a dot of the digits (px).
+	 * @param {Array<number>} color - the color ([r, g, b]).
+	 */
+	drawNumber(cx, cy, text, scale, color) {
+		const width = (text.length*6 - 1) * scale;
+		const left = Math.round(cx - width/2);
+		const top = Math.round(cy - 7*scale/2);
+
+		[...text].forEach((digit, i) => {
+			DIGITS[digit].forEach((line, y) => {
+				[...line].forEach((dot, x) => {
+					if (dot === "1")
+						this.fillRect(left + (i*6 + x)*scale, top + y*scale, scale, scale, color);
+				});
+			});
+		});
+	}
+
+	/**
+	 * Encode the image in PNG.
+	 * 
+	 * @returns {Buffer} - the PNG file.
+	 */
+	toPNG() {
+		const header = Buffer.alloc(13);
+		header.writeUInt32BE(this._width, 0);
+		header.writeUInt32BE(this._height, 4);
+		// 8 bits by channel, RGB, default compression, filter and no interlace.
+		header.set([8, 2, 0, 0, 0], 8);
+
+		// Each line starts with its filter (none).
+		const line = this._width * 3;
+		let raw = Buffer.alloc((line+1) * this._height);
+		for (let y=0; y < this._height; y++)
+			this._pixels.copy(raw, y*(line+1) + 1, y*line, (y+1)*line);
+
+		return Buffer.concat([
+			Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+			this._createChunk("IHDR", header),
+			this._createChunk("IDAT", zlib.deflateSync(raw)),
+			this._createChunk("IEND", Buffer.alloc(0))
+		]);
+	}
+
+	/**
+	 * Blend a color in a pixel.
+	 * 
+	 * @param {number} x - the x of the pixel.
+	 * @param {number} y - the y of the pixel.
+	 * @param {Array<number>} color - the color ([r, g, b]).
+	 * @param {number} alpha - the opacity of the color (0 to 1).
+	 */
+	_setPixel(x, y, color, alpha) {
+		const i = (y*this._width + x) * 3;
+		for (let c=0; c < 3; c++)
+			this._pixels[i+c] = Math.round(this._pixels[i+c]*(1-alpha) + color[c]*alpha);
+	}
+
+	/**
+	 * Create a chunk of the PNG file.
+	 * 
+	 * @param {string} type - the type of the chunk.
+	 * @param {Buffer} data - the data of the chunk.
+	 * @returns {Buffer} - the chunk (length, type, data and CRC).
+	 */
+	_createChunk(type, data) {
+		const length = Buffer.alloc(4);
+		length.writeUInt32BE(data.length, 0);
+		const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+
+		let crc = 0xFFFFFFFF;
+		for (let i=0; i < body.length; i++)
+			crc = CRC_TABLE[(crc ^ body[i]) & 0xFF] ^ (crc >>> 8);
+		const end = Buffer.alloc(4);
+		end.writeUInt32BE((crc ^ 0xFFFFFFFF) >>> 0, 0);
+
+		return Buffer.concat([length, body, end]);
+	}
+}
\ No newline at end of file
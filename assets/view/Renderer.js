@@ -0,0 +1,115 @@
+const Canvas = require("./Canvas");
+const SquareType = require("../model/SquareType");
+
+const CELL = 64;
+const MARGIN = 12;
+const HEADER = 36;
+const COLORS = {
+	background: [54, 57, 63],
+	board: [44, 62, 80],
+	hole: [236, 240, 241],
+	numbers: [236, 240, 241],
+	blue: [52, 152, 219],
+	red: [234, 32, 39],
+	green: [46, 204, 113],
+	purple: [155, 89, 182],
+	highlight: [241, 196, 15]
+};
+// The directions of the lines ([dx, dy]).
+const DIRECTIONS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+/**
+ * A renderer of the boards in PNG images (the numbers of the columns, the discs,
+ * the last move and the winning line).
+ */
+class Renderer {
+
+	/**
+	 * Draw a board.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {number} lastMove - the column of the last move (null if none).
+	 * @returns {Buffer} - the PNG image.
+	 */
+	renderBoard(board, lastMove) {
+		let canvas = new Canvas(board.cols*CELL + MARGIN*2, board.rows*CELL + HEADER + MARGIN, COLORS.background);
+		canvas.fillRect(MARGIN, HEADER, board.cols*CELL, board.rows*CELL, COLORS.board);
+
+		const line = this._getWinningSquares(board);
+		// The last disc of the column is on the top.
+		const lastRow = (lastMove === null)? -1 : [...Array(board.rows).keys()].find(y => !board.getSquare(lastMove, y).isEmpty());
+
+		for (let x=0; x < board.cols; x++) {
+			const cx = MARGIN + x*CELL + CELL/2;
+			canvas.drawNumber(cx, HEADER/2, `${x+1}`, 3, COLORS.numbers);
+
+			for (let y=0; y < board.rows; y++) {
+				const cy = HEADER + y*CELL + CELL/2;
+				const type = board.getSquare(x, y).type;
+				canvas.fillCircle(cx, cy, CELL*0.4, this._getColor(type));
+
+				if (line.some(([lx, ly]) => lx === x && ly === y))
+					canvas.fillRing(cx, cy, CELL*0.3, CELL*0.4, COLORS.highlight);
+				if (x === lastMove && y === lastRow)
+					canvas.fillCircle(cx, cy, CELL*0.1, COLORS.hole);
+			}
+		}
+
+		return canvas.toPNG();
+	}
+
+	/**
+	 * Get the color of a square.
+	 * 
+	 * @param {SquareType} type - the type of the square.
+	 * @returns {Array<number>} - the color ([r, g, b]).
+	 */
+	_getColor(type) {
+		switch (type) {
+			case SquareType.BLUE:
+				return COLORS.blue;
+			case SquareType.RED:
+				return COLORS.red;
+			case SquareType.GREEN:
+				return COLORS.green;
+			case SquareType.PURPLE:
+				return COLORS.purple;
+			default:
+				return COLORS.hole;
+		}
+	}
+
+	/**
+	 * Get the squares of the winning lines.
+	 * 
+	 * @param {Board} board - the board.
+	 * @returns {Array<Array<number>>} - the positions of the squares ([x, y], empty if no winner).
+	 */
+	_getWinningSquares(board) {
+		let squares = [];
+
+		for (let x=0; x < board.cols; x++) {
+			for (let y=0; y < board.rows; y++) {
+				const type = board.getSquare(x, y).type;
+				if (type === SquareType.EMPTY)
+					continue;
+
+				DIRECTIONS.forEach(([dx, dy]) => {
+					let line = [];
+					for (let i=0; i < board.connect; i++) {
+						const px = x + dx*i;
+						const py = y + dy*i;
+						if (px < 0 || px >= board.cols || py < 0 || py >= board.rows || board.getSquare(px, py).type !== type)
+							return;
+						line.push([px, py]);
+					}
+					squares.push(...line);
+				});
+			}
+		}
+
+		return squares;
+	}
+}
+
+module.exports = new Renderer();
\ No newline at end of file
@@ -1,8 +1,24 @@
 const config = require("config");
-const { MessageEmbed } = require("discord.js");
+const { MessageEmbed, MessageAttachment, APIMessage } = require("discord.js");
 const SquareType = require("../model/SquareType");
 const Player = require("../model/Player");
 const PlayerType = require("../model/PlayerType");
+const MoveType = require("../model/MoveType");
+const settings = require("../model/Settings");
+const TimeoutPolicy = require("../model/TimeoutPolicy");
+const renderer = require("./Renderer");
+const registry = require("../bots/Registry");
+
+const NUMS = ["1️⃣", "2️⃣", "3️⃣", "4️⃣", "5️⃣", "6️⃣", "7️⃣", "8️⃣", "9️⃣"];
+// In PopOut, pressed before a column to pop a square out of it.
+const POP = "⏏️";
+// The squares of the third and the fourth players (the emojis of the guild are the blue and the red squares).
+const SQUARES = {[SquareType.GREEN]: "🟢", [SquareType.PURPLE]: "🟣"};
+// The styles of the buttons.
+const PRIMARY = 1;
+const SECONDARY = 2;
+const SUCCESS = 3;
+const DANGER = 4;
 
 /**
  * A View of the Connect4 Game.
@@ -17,11 +33,16 @@ class View {
 	 * @returns {Promise<Message>} - the message with the reactions of the players.
 	 */
 	askBot(channel, creator) {
+		if (this._useButtons(channel))
+			return this._send(channel, this._createAskBotEmbed(creator, false), registry.bots.map(bot => (
+				{style: SECONDARY, label: bot.label, emoji: {name: bot.emoji}, custom_id: bot.emoji}
+			)));
+
 		let msg = channel.send(this._createAskBotEmbed(creator, false));
 		msg.then(message => {
 			// add default reactions.
-			Object.values(config.get("bots")).forEach(emoji => {
-				message.react(emoji);
+			registry.bots.forEach(bot => {
+				message.react(bot.emoji);
 			});
 		});
 		return msg;
@@ -34,7 +55,7 @@ class View {
 	 * @param {GuildMember} creator - the creator of the room.
 	 */
 	endAskBot(message, creator) {
-		message.edit(this._createAskBotEmbed(creator, true));
+		this._edit(message, this._createAskBotEmbed(creator, true), this._useButtons(message.channel)? [] : null).catch(err => {});
 	}
 
 	/**
@@ -49,11 +70,7 @@ class View {
 		.setColor(end? "EA2027" : "2c3e50")
 		.setAuthor(creator.displayName, creator.user.displayAvatarURL());
 
-		let botMsg = `Press ${config.get("bots").easyBot} to play against the **easy bot**.\n
-					Press ${config.get("bots").normalBot} to play against the **normal bot**.\n
-					Press ${config.get("bots").stupidBot} to play against the **stupid bot**.\n
-					Press ${config.get("bots").randomBot} to play against the **random bot**.\n
-					Press ${config.get("bots").cheatBot} to play against the **cheat bot**.`;
+		let botMsg = registry.bots.map(bot => `Press ${bot.emoji} to play against the **${bot.name} bot**.${(bot.description === "")? "" : ` _${bot.description}_`}`).join("\n\n");
 		if (end)
 			botMsg += "\n\n🚫 Time's up.";
 
@@ -66,11 +83,19 @@ class View {
 	 * 
 	 * @param {Channel} channel - the channel.
 	 * @param {GuildMember} creator - the creator of the room.
-	 * @param {GuildMember} opponent - the opponent.
+	 * @param {Array<GuildMember>} opponents - the opponents (up to three).
+	 * @param {PlayerType} bot - the bot who plays too in a game of more than two players (null if none).
 	 * @returns {Promise<Message>} - the message with the reactions of the players.
 	 */
-	askOpponent(channel, creator, opponent) {
-		let msg = channel.send(this._createAskOpponentEmbed(creator, opponent, false));
+	askOpponent(channel, creator, opponents, bot = null) {
+		const embed = this._createAskOpponentEmbed(creator, opponents, bot, [], false);
+		if (this._useButtons(channel))
+			return this._send(channel, embed, [
+				{style: SUCCESS, label: "Accept", emoji: {name: "🙋‍♂️"}, custom_id: "🙋‍♂️"},
+				{style: DANGER, label: "Decline", emoji: {name: "🙅‍♂️"}, custom_id: "🙅‍♂️"}
+			]);
+
+		let msg = channel.send(embed);
 		msg.then(message => {
 			// add default reactions.
 			message.react("🙋‍♂️");
@@ -80,64 +105,226 @@ class View {
 	}
 
 	/**
-	 * Time's up.
+	 * Show the opponents who accepted (in a game of more than two players).
+	 * 
+	 * @param {Message} message - the message asking the opponents.
+	 * @param {GuildMember} creator - the creator of the room.
+	 * @param {Array<GuildMember>} opponents - the opponents.
+	 * @param {PlayerType} bot - the bot who plays too (null if none).
+	 * @param {Array<GuildMember>} accepted - the opponents who accepted.
+	 */
+	updateAskOpponent(message, creator, opponents, bot, accepted) {
+		this._edit(message, this._createAskOpponentEmbed(creator, opponents, bot, accepted, false)).catch(err => {});
+	}
+
+	/**
+	 * Time's up (or an opponent declined).
 	 * 
 	 * @param {Channel} message - the channel.
 	 * @param {GuildMember} creator - the creator of the room.
-	 * @param {GuildMember} opponent - the opponent.
+	 * @param {Array<GuildMember>} opponents - the opponents.
+	 * @param {PlayerType} bot - the bot who plays too (null if none).
+	 * @param {GuildMember} declined - the opponent who declined (null if time's up).
 	 */
-	endAskOpponent(message, creator, opponent) {
-		message.edit(this._createAskOpponentEmbed(creator, opponent, true));
+	endAskOpponent(message, creator, opponents, bot = null, declined = null) {
+		this._edit(message, this._createAskOpponentEmbed(creator, opponents, bot, [], true, declined), this._useButtons(message.channel)? [] : null).catch(err => {});
 	}
 
 	/**
 	 * Create an embed message.
 	 * 
 	 * @param {GuildMember} creator - the creator of the room.
-	 * @param {GuildMember} opponent - the opponent.
-	 * @param {boolean} end - true if the time's up.
+	 * @param {Array<GuildMember>} opponents - the opponents.
+	 * @param {PlayerType} bot - the bot who plays too (null if none).
+	 * @param {Array<GuildMember>} accepted - the opponents who accepted.
+	 * @param {boolean} end - true if the time's up (or an opponent declined).
+	 * @param {GuildMember} declined - the opponent who declined (null if none).
 	 */
-	_createAskOpponentEmbed(creator, opponent, end) {
+	_createAskOpponentEmbed(creator, opponents, bot, accepted, end, declined = null) {
 		let embed = new MessageEmbed()
 		.setColor(end? "EA2027" : "2c3e50")
 		.setTitle("Connect4")
 		.setAuthor(creator.displayName, creator.user.displayAvatarURL());
 
-		let opponentMsg = `⚔️ ${creator.displayName} wants to play against you ${opponent.displayName} !`;
-		if (end)
+		let opponentMsg;
+		if (opponents.length === 1 && bot === null)
+			opponentMsg = `⚔️ ${creator.displayName} wants to play against you ${opponents[0].displayName} !`;
+		else {
+			const names = opponents.map(opponent => `${accepted.includes(opponent)? "✅" : "⌛"} ${opponent.displayName}`);
+			if (bot !== null)
+				names.push(`🤖 ${this.getBotName(bot)}`);
+			opponentMsg = `⚔️ ${creator.displayName} wants to play a game of ${names.length+1} players, everyone must accept:\n${names.join("\n")}`;
+		}
+		if (declined !== null)
+			opponentMsg += `\n\n🙅‍♂️ ${declined.displayName} declined.`;
+		else if (end)
 			opponentMsg += "\n\n🚫 Time's up.";
 
 		embed.setDescription(opponentMsg);
 		return embed;
 	}
 
+	/**
+	 * Ask the opponent to accept a takeback.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {GuildMember} player - the player who wants to take back a move.
+	 * @param {GuildMember} opponent - the opponent.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	askTakeback(channel, player, opponent) {
+		let msg = channel.send(this._createAskTakebackEmbed(player, opponent, null));
+		msg.then(message => {
+			message.react("👍");
+			message.react("👎");
+		});
+		return msg;
+	}
+
+	/**
+	 * Show the answer to a takeback.
+	 * 
+	 * @param {Message} message - the message asking the takeback.
+	 * @param {GuildMember} player - the player who wants to take back a move.
+	 * @param {GuildMember} opponent - the opponent.
+	 * @param {boolean} accepted - true if accepted, false if refused or time's up.
+	 */
+	endAskTakeback(message, player, opponent, accepted) {
+		message.edit(this._createAskTakebackEmbed(player, opponent, accepted));
+	}
+
+	/**
+	 * Create an embed message.
+	 * 
+	 * @param {GuildMember} player - the player who wants to take back a move.
+	 * @param {GuildMember} opponent - the opponent.
+	 * @param {boolean} accepted - the answer (null while waiting).
+	 */
+	_createAskTakebackEmbed(player, opponent, accepted) {
+		let embed = new MessageEmbed()
+		.setColor((accepted === null)? "2c3e50" : accepted? "2ecc71" : "EA2027")
+		.setTitle("↩️ Takeback")
+		.setAuthor(player.displayName, player.user.displayAvatarURL());
+
+		let takebackMsg = `${player.displayName} wants to take back the last move, ${opponent.displayName} do you accept ?`;
+		if (accepted !== null)
+			takebackMsg += accepted? "\n\n👍 Accepted." : "\n\n👎 Refused.";
+
+		embed.setDescription(takebackMsg);
+		return embed;
+	}
+
+	/**
+	 * Offer a draw to the opponent.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {GuildMember} player - the player who offers a draw.
+	 * @param {GuildMember} opponent - the opponent.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	askDraw(channel, player, opponent) {
+		let msg = channel.send(this._createAskDrawEmbed(player, opponent, null));
+		msg.then(message => {
+			message.react("🤝");
+			message.react("🙅‍♂️");
+		});
+		return msg;
+	}
+
+	/**
+	 * Show the answer to a draw offer.
+	 * 
+	 * @param {Message} message - the message offering the draw.
+	 * @param {GuildMember} player - the player who offers a draw.
+	 * @param {GuildMember} opponent - the opponent.
+	 * @param {boolean} accepted - true if accepted, false if declined or time's up.
+	 */
+	endAskDraw(message, player, opponent, accepted) {
+		message.edit(this._createAskDrawEmbed(player, opponent, accepted));
+	}
+
+	/**
+	 * Create an embed message.
+	 * 
+	 * @param {GuildMember} player - the player who offers a draw.
+	 * @param {GuildMember} opponent - the opponent.
+	 * @param {boolean} accepted - the answer (null while waiting).
+	 */
+	_createAskDrawEmbed(player, opponent, accepted) {
+		let embed = new MessageEmbed()
+		.setColor((accepted === null)? "2c3e50" : accepted? "2ecc71" : "EA2027")
+		.setTitle("🤝 Draw")
+		.setAuthor(player.displayName, player.user.displayAvatarURL());
+
+		let drawMsg = `${player.displayName} offers a draw, ${opponent.displayName} do you accept ?`;
+		if (accepted !== null)
+			drawMsg += accepted? "\n\n🤝 Accepted." : "\n\n🙅‍♂️ Declined.";
+
+		embed.setDescription(drawMsg);
+		return embed;
+	}
+
 	/**
 	 * Show the board.
 	 * 
 	 * @param {Channel} channel - the channel.
 	 * @param {Board} board - the board.
 	 * @param {Player} player - the current player.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @param {Object} timeout - the timeout policy of the room ({policy, forfeitAfter}).
+	 * @param {number} lastMove - the column of the last move (null if none).
+	 * @param {Array<Object>} players - the players of a game of more than two players ([{player, left: true if the player left the game}], null if two players).
 	 * @returns {Promise<Message>} - the message sent.
 	 */
-	showBoard(channel, board, player) {
-		let msg = channel.send(this._createBoardEmbed(board, player));
+	showBoard(channel, board, player, series, timeout, lastMove, players = null) {
+		const embed = this._createBoardEmbed(board, player, false, series, timeout, lastMove, players, channel);
+		if (this._useButtons(channel))
+			return this._send(channel, embed, this._createColumnButtons(board, player));
+
+		let msg = channel.send(embed);
 		msg.then(message => {
-			const nums = ["1️⃣", "2️⃣", "3️⃣", "4️⃣", "5️⃣", "6️⃣", "7️⃣"];
-			nums.forEach(num => message.react(num));
-		});
+			this.getColumnEmojis(board.cols).forEach(num => message.react(num));
+			if (board.popout)
+				message.react(POP);
+		})
+		.catch(err => {});
 		return msg;
 	}
 
+	/**
+	 * Get the emojis used to play in the columns.
+	 * 
+	 * @param {number} cols - the number of columns.
+	 * @returns {Array<string>} - the emoji of each column.
+	 */
+	getColumnEmojis(cols) {
+		return NUMS.slice(0, cols);
+	}
+
+	/**
+	 * Get the emoji pressed before a column to pop a square out of it (PopOut).
+	 * 
+	 * @returns {string} - the emoji.
+	 */
+	getPopEmoji() {
+		return POP;
+	}
+
 	/**
 	 * Update the board.
 	 * 
 	 * @param {Message} message - the message of the board.
 	 * @param {Board} board - the board.
 	 * @param {Player} player - the current player.
+	 * @param {boolean} thinking - true if the bot is searching its move.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @param {Object} timeout - the timeout policy of the room ({policy, forfeitAfter}).
+	 * @param {number} lastMove - the column of the last move (null if none).
+	 * @param {Array<Object>} players - the players of a game of more than two players ([{player, left}], null if two players).
 	 * @returns {Promise<Message>} - the message edited.
 	 */
-	updateBoard(message, board, player) {
-		return message.edit(this._createBoardEmbed(board, player));
+	updateBoard(message, board, player, thinking, series, timeout, lastMove, players = null) {
+		return this._edit(message, this._createBoardEmbed(board, player, thinking, series, timeout, lastMove, players, message.channel), this._useButtons(message.channel)? this._createColumnButtons(board, player) : null);
 	}
 
 	/**
@@ -145,16 +332,203 @@ class View {
 	 * 
 	 * @param {Board} board - the board.
 	 * @param {Player} player - the current player.
+	 * @param {boolean} thinking - true if the bot is searching its move.
+	 * @param {Series} series - the series of the room (null if none).
+	 * @param {Object} timeout - the timeout policy of the room ({policy, forfeitAfter}).
+	 * @param {number} lastMove - the column of the last move (null if none).
+	 * @param {Array<Object>} players - the players of a game of more than two players ([{player, left}], null if two players).
+	 * @param {Channel} channel - the channel of the board.
 	 * @returns {MessageEmbed} - the embed message.
 	 */
-	_createBoardEmbed(board, player) {
+	_createBoardEmbed(board, player, thinking, series, timeout, lastMove, players, channel) {
 		let embed = new MessageEmbed()
 		.setColor(3447003)
 		//.setTitle(`${player.member.displayName}'s turn.`)
 		//.setThumbnail(player.member.user.displayAvatarURL());
-		.setTitle((player.type === PlayerType.HUMAN)? `${player.member.displayName}'s turn.` : "Bot's turn.")
+		.setTitle((player.type === PlayerType.HUMAN)? `${player.member.displayName}'s turn.` : thinking? `🤔 ${this.getBotName(player.type)} is thinking…` : `${this.getBotName(player.type)}'s turn.`)
 		.setThumbnail((player.type === PlayerType.HUMAN)? player.member.user.displayAvatarURL() : "https://scx1.b-cdn.net/csz/news/800/2019/3-robot.jpg");
+
+		if (series)
+			embed.setTitle(`${embed.title} • Game ${series.played+1}/${series.bestOf} (${this._createSeriesScore(series)})`);
+		
+		this._setGrid(embed, board, lastMove, channel);
+		if (players !== null) {
+			const emojis = this._getEmojis(channel);
+			embed.addField("👥 Players", players.map(({player, left}) => {
+				const name = `${this._getSquareEmoji(player.squareType, emojis)} ${(player.type === PlayerType.HUMAN)? player.member.displayName : this.getBotName(player.type)}`;
+				return left? `~~${name}~~ (left)` : name;
+			}).join("\n"), false);
+		}
+		embed.setFooter(`Connect ${board.connect} • ${board.cols}x${board.rows}${board.popout? " • PopOut" : ""} • ⏱️ ${settings.get(channel.guild.id, "turnTimeout")}s, ${this._formatTimeoutPolicy(timeout)}`);
 		
+		return embed;
+	}
+
+	/**
+	 * Write a timeout policy.
+	 * 
+	 * @param {Object} timeout - the timeout policy ({policy, forfeitAfter}).
+	 * @returns {string} - what happens when a member doesn't play in time.
+	 */
+	_formatTimeoutPolicy(timeout) {
+		switch (timeout.policy) {
+			case TimeoutPolicy.SKIP:
+				return "then the turn is skipped";
+			case TimeoutPolicy.FORFEIT:
+				return `then the turn is skipped, forfeit after ${timeout.forfeitAfter} in a row`;
+			case TimeoutPolicy.PAUSE:
+				return "then the game is paused";
+			default:
+				return "then a random move is played";
+		}
+	}
+
+	/**
+	 * Warn a player that the time to play is running out.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {GuildMember} member - the player.
+	 * @param {number} left - the seconds left.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	warnTurn(channel, member, left) {
+		return channel.send(`⏰ ${member}, ${left} seconds left to play.`);
+	}
+
+	/**
+	 * Show a board in an embed message, as an image or as a text (see the renderer setting).
+	 * 
+	 * @param {MessageEmbed} embed - the embed message.
+	 * @param {Board} board - the board.
+	 * @param {number} lastMove - the column of the last move (null if none).
+	 * @param {Channel} channel - the channel of the message.
+	 */
+	_setGrid(embed, board, lastMove, channel) {
+		if (settings.get(channel.guild.id, "renderer") === "text") {
+			embed.setDescription(this._createGrid(board, this._getEmojis(channel)));
+			return;
+		}
+
+		embed.attachFiles([new MessageAttachment(renderer.renderBoard(board, lastMove), "board.png")])
+		.setImage("attachment://board.png");
+	}
+
+	/**
+	 * Get the buttons to play in the columns (disabled if full, or if it isn't the turn of a member),
+	 * and in PopOut the button pressed before a column to pop a square out of it.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {Player} player - the current player.
+	 * @returns {Array<Object>} - the buttons.
+	 */
+	_createColumnButtons(board, player) {
+		const over = (!board.popout && board.getFree().length === 0) || board.toPosition().getWinner() !== null;
+		const disabled = over || player.type !== PlayerType.HUMAN;
+		let buttons = this.getColumnEmojis(board.cols).map((num, i) => ({
+			style: PRIMARY,
+			label: `${i+1}`,
+			custom_id: num,
+			disabled: disabled || (!board.hasFreeSquare(i) && !board.canPop(i, player.squareType))
+		}));
+
+		if (board.popout)
+			buttons.push({style: SECONDARY, label: "Pop", emoji: {name: POP}, custom_id: POP, disabled: disabled || board.getMoves(player.squareType).every(move => move >= 0)});
+		return buttons;
+	}
+
+	/**
+	 * The buttons are used instead of the reactions (see the buttons setting).
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @returns {boolean} - true if the buttons are used.
+	 */
+	_useButtons(channel) {
+		return settings.get(channel.guild.id, "buttons");
+	}
+
+	/**
+	 * Send a message with buttons (discord.js doesn't send the components).
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {MessageEmbed} embed - the embed message.
+	 * @param {Array<Object>} buttons - the buttons ({style, label, emoji, custom_id, disabled}), the emoji is pressed on a click.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	_send(channel, embed, buttons) {
+		return this._request(channel, embed, data => data.components = this._createComponents(buttons));
+	}
+
+	/**
+	 * Put the buttons in rows (5 by row).
+	 * 
+	 * @param {Array<Object>} buttons - the buttons.
+	 * @returns {Array<Object>} - the rows of components.
+	 */
+	_createComponents(buttons) {
+		let rows = [];
+		for (let i=0; i < buttons.length; i += 5)
+			rows.push({type: 1, components: buttons.slice(i, i+5).map(button => Object.assign({type: 2}, button))});
+		return rows;
+	}
+
+	/**
+	 * Edit a message (and replace its image and its buttons).
+	 * 
+	 * @param {Message} message - the message.
+	 * @param {MessageEmbed} embed - the new embed message.
+	 * @param {Array<Object>} buttons - the new buttons (null to keep them).
+	 * @returns {Promise<Message>} - the message edited.
+	 */
+	_edit(message, embed, buttons = null) {
+		if (embed.files.length === 0 && buttons === null)
+			return message.edit(embed);
+
+		// The edit of discord.js doesn't upload the files (the old image is replaced by the new one) nor the components.
+		return this._request(message, embed, (data, files) => {
+			if (files.length > 0)
+				data.attachments = [];
+			if (buttons !== null)
+				data.components = this._createComponents(buttons);
+		});
+	}
+
+	/**
+	 * Send or edit a message through the API of Discord, with the data discord.js
+	 * can't send. It uses the internals of discord.js v12 (client.api, and
+	 * _clone and _patch of the messages): check it when discord.js is updated.
+	 * 
+	 * @param {Channel|Message} target - the channel to send the message to, or the message to edit.
+	 * @param {MessageEmbed} embed - the embed message.
+	 * @param {Function} change - changes the data of the message before it's sent (data, files).
+	 * @returns {Promise<Message>} - the message sent or edited.
+	 */
+	_request(target, embed, change) {
+		const message = (target.channel === undefined)? null : target;
+		const channel = (message === null)? target : message.channel;
+
+		return APIMessage.create(target, embed).resolveData().resolveFiles()
+		.then(({data, files}) => {
+			change(data, files);
+			const messages = channel.client.api.channels[channel.id].messages;
+			return (message === null)? messages.post({data, files}) : messages[message.id].patch({data, files});
+		})
+		.then(data => {
+			if (message === null)
+				return channel.messages.add(data);
+			const clone = message._clone();
+			clone._patch(data);
+			return clone;
+		});
+	}
+
+	/**
+	 * Create the grid of a board.
+	 * 
+	 * @param {Board} board - the board.
+	 * @param {Object} emojis - the emojis of the squares ({blue, red}).
+	 * @returns {string} - the grid.
+	 */
+	_createGrid(board, emojis) {
 		let boardMsg = " ‎ ‎ ‎  ‎‎1";
 		for (let x=2; x < board.cols+1; x++) {
 			boardMsg += ` ‎  ‎  ‎ ‎ ‎ ‎ ‎ ‎  ‎‎${x}`;
@@ -164,14 +538,14 @@ class View {
 		for (let y=0; y < board.rows; y++) {
 			for (let x=0; x < board.cols; x++) {
 				const type = board.getSquare(x, y).type;
-				boardMsg += (type === SquareType.BLUE)? '‎‎ ‎‎🔵‎ ‎‎' : (type === SquareType.RED)? '‎‎ ‎‎🔴‎ ‎‎' : ' ‎ ‎ ‎ ‎ ‎ ‎ ‎ ‎ ‎';
+				boardMsg += (type === SquareType.EMPTY)? ' ‎ ‎ ‎ ‎ ‎ ‎ ‎ ‎ ‎' : `‎‎ ‎‎${this._getSquareEmoji(type, emojis)}‎ ‎‎`;
 				if (x !== board.cols-1)
 					boardMsg += " | ";
 			}
 
 			boardMsg += "\n";
 			if (y !== board.rows-1)
-				boardMsg += "----------------------------------------------\n";
+				boardMsg += "-".repeat(board.cols*6 + 4) + "\n";
 		}
 
 		boardMsg += " ‎ ‎ ‎  ‎‎1";
@@ -179,9 +553,18 @@ class View {
 			boardMsg += ` ‎  ‎  ‎ ‎ ‎ ‎ ‎ ‎  ‎‎${x}`;
 		}
 
-		embed.setDescription(boardMsg);
-		
-		return embed;
+		return boardMsg;
+	}
+
+	/**
+	 * Get the emoji of a square.
+	 * 
+	 * @param {SquareType} type - the type of the square (not empty).
+	 * @param {Object} emojis - the emojis of the blue and the red squares ({blue, red}).
+	 * @returns {string} - the emoji.
+	 */
+	_getSquareEmoji(type, emojis) {
+		return (type === SquareType.BLUE)? emojis.blue : (type === SquareType.RED)? emojis.red : SQUARES[type];
 	}
 
 	/**
@@ -189,13 +572,505 @@ class View {
 	 * 
 	 * @param {Channel} channel - the channel.
 	 * @param {Player} winner - the winner.
+	 * @param {Board} board - the board.
+	 * @param {string} moveString - the moves of the game in column notation (null if they can't be replayed).
+	 * @param {Series} series - the series of the room (null if none).
+	 * @param {string} reason - why the game ended before the end of the board (null if none).
+	 * @returns {Promise<Message>} - the message sent.
 	 */
-	showWinner(channel, winner) {
+	showWinner(channel, winner, board, moveString, series, reason) {
 		let embed = new MessageEmbed()
 		.setColor("2ecc71")
-		.setTitle((winner === null)? "🤜🤛 There is equality !" : (winner.type !== PlayerType.HUMAN)? `👑 The bot wins !` : `👑 The winner is ${winner.member.displayName} !`);
+		.setTitle((winner === null)? "🤜🤛 There is equality !" : (winner.type !== PlayerType.HUMAN)? `👑 ${this.getBotName(winner.type)} wins !` : `👑 The winner is ${winner.member.displayName} !`);
+
+		// In a series, only the winner of the series is crowned.
+		if (series)
+			embed.setColor(3447003)
+			.setTitle(`Game ${series.played}/${series.bestOf}: ${(winner === null)? "equality" : `${this._getSeriesName(series, series.members.indexOf(winner.member))} wins`} (${this._createSeriesScore(series)})`);
+
+		if (reason !== null)
+			embed.setDescription(reason);
+
+		if (moveString === null)
+			return channel.send(embed);
 
-		channel.send(embed);
+		let replay = `${this._getPrefix(channel)}replay ${moveString}`;
+		if (board.rows !== 6 || board.cols !== 7 || board.connect !== 4)
+			replay += ` --size ${board.cols}x${board.rows} --connect ${board.connect}`;
+		// The analysis only knows the classic rules.
+		if (board.popout) {
+			embed.addField("📜 Moves", `\`${moveString}\`\nReplay it with \`${replay} --popout\`.`, false);
+			return channel.send(embed);
+		}
+		embed.addField("📜 Moves", `\`${moveString}\`\nReplay it with \`${replay}\`, press 🔍 to analyze it.`, false);
+
+		let msg = channel.send(embed);
+		msg.then(message => message.react("🔍")).catch(err => {});
+		return msg;
+	}
+
+	/**
+	 * Show the winner of a series.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Series} series - the series (over).
+	 */
+	showSeriesWinner(channel, series) {
+		const winner = series.getWinner();
+		let embed = new MessageEmbed()
+		.setColor("2ecc71")
+		.setTitle((winner === null)? "🤜🤛 The series ends in equality !" : `👑 ${this._getSeriesName(series, winner)} wins the series !`)
+		.setDescription(this._createSeriesScore(series));
+
+		channel.send(embed).catch(err => {});
+	}
+
+	/**
+	 * Create the score of a series.
+	 * 
+	 * @param {Series} series - the series.
+	 * @returns {string} - the score (e.g. "Ann 2 - 1 Bob").
+	 */
+	_createSeriesScore(series) {
+		return `${this._getSeriesName(series, 0)} ${series.wins[0]} - ${series.wins[1]} ${this._getSeriesName(series, 1)}`;
+	}
+
+	/**
+	 * Get the name of a player of a series.
+	 * 
+	 * @param {Series} series - the series.
+	 * @param {number} index - the index of the player.
+	 * @returns {string} - the name of the member or of the bot.
+	 */
+	_getSeriesName(series, index) {
+		return (series.members[index] !== null)? series.members[index].displayName : this.getBotName(series.secondType);
+	}
+
+	/**
+	 * Show that a game is being analyzed.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	showAnalyzing(channel) {
+		let embed = new MessageEmbed()
+		.setColor(3447003)
+		.setTitle("🔍 Analysis")
+		.setDescription("⏳ Analyzing the game…");
+
+		return channel.send(embed);
+	}
+
+	/**
+	 * Show the analysis of a game.
+	 * 
+	 * @param {Message} message - the message of the analysis.
+	 * @param {Replay} replay - the replay of the game.
+	 * @param {Object} analysis - the analysis (see Analysis.toJSON).
+	 */
+	updateAnalysis(message, replay, analysis) {
+		const board = replay.getBoard(replay.length);
+		const emojis = this._getEmojis(message.channel);
+		const colors = [emojis.blue, emojis.red];
+		const lines = [];
+		let best = [0, 0];
+
+		analysis.moves.forEach((move, i) => {
+			if (move.mark === "best")
+				best[i%2]++;
+			else if (move.mark === "blunder")
+				lines.push(`**${i+1}.** ${colors[i%2]} column ${move.pos+1} - ❌ Blunder, column ${move.best+1} was better.`);
+			else if (move.mark === "missedWin")
+				lines.push(`**${i+1}.** ${colors[i%2]} column ${move.pos+1} - 💨 Missed a forced win in column ${move.best+1}.`);
+		});
+
+		let description = (lines.length > 0)? lines.slice(0, 15).join("\n") : "No blunder, well played !";
+		if (lines.length > 15)
+			description += `\n…and ${lines.length-15} more.`;
+
+		let decided;
+		if (analysis.decided !== null) {
+			const move = analysis.moves[analysis.decided];
+			decided = `At move ${analysis.decided+1} (${colors[analysis.decided%2]} column ${move.pos+1}), ${(analysis.winner === SquareType.BLUE)? emojis.blue : emojis.red} had a forced win.`;
+		}
+		else
+			decided = (board.getFree().length === 0)? "The game ended in equality." : "The game was not finished.";
+
+		let embed = new MessageEmbed()
+		.setColor(3447003)
+		.setTitle("🔍 Analysis")
+		.setDescription(description)
+		.addField("⚖️ Decided", decided, false)
+		.addField("🎯 Best moves", `${emojis.blue} ${best[0]}/${Math.ceil(replay.length/2)} • ${emojis.red} ${best[1]}/${Math.floor(replay.length/2)}`, false)
+		.setFooter(`Connect ${board.connect} • ${board.cols}x${board.rows}`);
+
+		message.edit(embed).catch(err => {});
+	}
+
+	/**
+	 * Show the replay of a game.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Replay} replay - the replay.
+	 * @param {number} index - the number of moves shown.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	showReplay(channel, replay, index) {
+		let msg = channel.send(this._createReplayEmbed(replay, index, channel));
+		msg.then(message => {
+			message.react("◀️").catch(err => {});
+			message.react("▶️").catch(err => {});
+		})
+		.catch(err => {});
+		return msg;
+	}
+
+	/**
+	 * Update the replay of a game.
+	 * 
+	 * @param {Message} message - the message of the replay.
+	 * @param {Replay} replay - the replay.
+	 * @param {number} index - the number of moves shown.
+	 * @returns {Promise<Message>} - the message edited.
+	 */
+	updateReplay(message, replay, index) {
+		return this._edit(message, this._createReplayEmbed(replay, index, message.channel));
+	}
+
+	/**
+	 * Create an embed message of a replay.
+	 * 
+	 * @param {Replay} replay - the replay.
+	 * @param {number} index - the number of moves shown.
+	 * @param {Channel} channel - the channel of the replay.
+	 * @returns {MessageEmbed} - the embed message.
+	 */
+	_createReplayEmbed(replay, index, channel) {
+		const board = replay.getBoard(index);
+		const emojis = this._getEmojis(channel);
+		let title = `📼 Replay - move ${index}/${replay.length}`;
+		const move = (index > 0)? replay.getMove(index-1) : null;
+		if (move !== null)
+			title += ` (${(index%2 === 1)? emojis.blue : emojis.red} ${(move < 0)? `popped out of column ${~move+1}` : `in column ${move+1}`})`;
+
+		let embed = new MessageEmbed()
+		.setColor(3447003)
+		.setTitle(title)
+		.setFooter(`Connect ${board.connect} • ${board.cols}x${board.rows}${board.popout? " • PopOut" : ""}`);
+		this._setGrid(embed, board, (move === null || move < 0)? null : move, channel);
+
+		if (index === replay.length) {
+			const winner = replay.getWinner();
+			embed.addField("🏁 End", (winner === SquareType.BLUE)? `${emojis.blue} wins.` : (winner === SquareType.RED)? `${emojis.red} wins.` : (!board.popout && board.getFree().length === 0)? "There is equality." : "The game was not finished.", false);
+		}
+
+		return embed;
+	}
+
+	/**
+	 * Show a tournament.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Tournament} tournament - the tournament.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	showTournament(channel, tournament) {
+		return channel.send(this._createTournamentEmbed(tournament, this._getPrefix(channel)));
+	}
+
+	/**
+	 * Update the message of a tournament.
+	 * 
+	 * @param {Message} message - the message of the tournament.
+	 * @param {Tournament} tournament - the tournament.
+	 */
+	updateTournament(message, tournament) {
+		message.edit(this._createTournamentEmbed(tournament, this._getPrefix(message.channel))).catch(err => {});
+	}
+
+	/**
+	 * Create an embed message of a tournament (the players, then the bracket or the ranking).
+	 * 
+	 * @param {Tournament} tournament - the tournament.
+	 * @param {string} prefix - the prefix of the commands.
+	 * @returns {MessageEmbed} - the embed message.
+	 */
+	_createTournamentEmbed(tournament, prefix) {
+		const elimination = tournament.format === "elimination";
+		let embed = new MessageEmbed()
+		.setColor("f1c40f")
+		.setTitle(`🏆 Tournament (${elimination? "elimination" : "round-robin"})`)
+		.setFooter(`${tournament.participants.length}/${tournament.size} players • Connect ${tournament.options.connect} • ${tournament.options.cols}x${tournament.options.rows}${tournament.options.popout? " • PopOut" : ""}`);
+
+		if (!tournament.started) {
+			const players = tournament.participants.map((participant, seed) => `**${seed+1}.** ${this._getParticipantName(participant)}`);
+			embed.setDescription(`${players.join("\n")}\n\nJoin with \`${prefix}tournament join\`, the creator starts with \`${prefix}tournament start\` (the empty slots are filled with bots).`);
+			return embed;
+		}
+
+		const next = tournament.getNextMatch();
+		let lines = [];
+		if (elimination) {
+			const rounds = Math.log2(tournament.size);
+			tournament.matches.forEach((match, i) => {
+				if (i === 0 || tournament.matches[i-1].round !== match.round) {
+					const left = rounds - match.round;
+					lines.push(`**${(left === 1)? "Final" : (left === 2)? "Semi-finals" : (left === 3)? "Quarter-finals" : `Round ${match.round+1}`}**`);
+				}
+				lines.push(this._createMatchLine(tournament, i, next !== null && next.index === i));
+			});
+		}
+		else {
+			lines = tournament.getStandings().map((standing, i) => `**${i+1}.** ${this._getParticipantName(standing)} - **${standing.points}** pts (${standing.wins} W / ${standing.losses} L / ${standing.draws} D)`);
+			if (next !== null)
+				lines.push("", `**Round ${next.round+1}**`, this._createMatchLine(tournament, next.index, true));
+		}
+
+		embed.setDescription(lines.join("\n"));
+		return embed;
+	}
+
+	/**
+	 * Create the line of a match (⚔️ in progress, ✅ before the winner, 🤝 if equality).
+	 * 
+	 * @param {Tournament} tournament - the tournament.
+	 * @param {number} index - the index of the match.
+	 * @param {boolean} current - true if it's the match in progress.
+	 * @returns {string} - the line.
+	 */
+	_createMatchLine(tournament, index, current) {
+		const match = tournament.matches[index];
+		const name = seed => ((match.winner === seed)? "✅ " : "") + this._getParticipantName(tournament.participants[seed]);
+
+		let line = `${name(match.a)} vs ${name(match.b)}`;
+		if (current)
+			line = `⚔️ ${line}`;
+		else if (match.winner === null)
+			line += " 🤝";
+		return line;
+	}
+
+	/**
+	 * Announce a match of a tournament.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Tournament} tournament - the tournament.
+	 * @param {number} index - the index of the match.
+	 */
+	showMatch(channel, tournament, index) {
+		const match = tournament.matches[index];
+		this.showInfo(channel, `🏆 Tournament match: ${this._getParticipantName(tournament.participants[match.a])} vs ${this._getParticipantName(tournament.participants[match.b])} !`);
+	}
+
+	/**
+	 * Show the result of a match of a tournament.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Tournament} tournament - the tournament.
+	 * @param {number} index - the index of the match.
+	 */
+	showMatchResult(channel, tournament, index) {
+		const match = tournament.matches[index];
+		const a = this._getParticipantName(tournament.participants[match.a]);
+		const b = this._getParticipantName(tournament.participants[match.b]);
+
+		if (match.winner === null)
+			this.showInfo(channel, `🏆 ${a} and ${b} are equal${(tournament.format === "elimination")? `, ${(match.a < match.b)? a : b} is qualified as the best seed` : ""}.`);
+		else
+			this.showInfo(channel, `🏆 ${(match.winner === match.a)? a : b} wins the match against ${(match.winner === match.a)? b : a}.`);
+	}
+
+	/**
+	 * Show the winner of a tournament and the podium.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Tournament} tournament - the tournament.
+	 */
+	showTournamentWinner(channel, tournament) {
+		const medals = ["🥇", "🥈", "🥉"];
+		const podium = tournament.getStandings().slice(0, 3).map((standing, i) => `${medals[i]} ${this._getParticipantName(standing)}`);
+
+		let embed = new MessageEmbed()
+		.setColor("2ecc71")
+		.setTitle("👑 End of the tournament")
+		.setDescription(`${this._getParticipantName(tournament.participants[tournament.getWinner()])} wins the tournament !\n\n${podium.join("\n")}`);
+
+		channel.send(embed).catch(err => {});
+	}
+
+	/**
+	 * Get the name of a participant of a tournament.
+	 * 
+	 * @param {Object} participant - the participant ({id, type}).
+	 * @returns {string} - the mention of the member or the name of the bot.
+	 */
+	_getParticipantName(participant) {
+		return (participant.type === PlayerType.HUMAN)? `<@${participant.id}>` : this.getBotName(participant.type);
+	}
+
+	/**
+	 * Send a hint to a player in private.
+	 * 
+	 * @param {GuildMember} member - the player.
+	 * @param {number} pos - the position to play.
+	 * @param {MoveType} type - a square to drop, or to pop (PopOut).
+	 * @param {string} reason - why the position is good ("win", "block", "threat", "center" or "search").
+	 * @param {number} left - the number of hints left.
+	 * @returns {Promise<Message>} - the message sent.
+	 */
+	sendHint(member, pos, type, reason, left) {
+		let reasonMsg;
+		switch (reason) {
+			case "win":
+				reasonMsg = "It wins the game right now !";
+				break;
+			case "block":
+				reasonMsg = "It blocks a winning move of your opponent.";
+				break;
+			case "threat":
+				reasonMsg = "It threatens to win with your next move.";
+				break;
+			case "center":
+				reasonMsg = "A central column gives the most ways to connect your squares.";
+				break;
+			default:
+				reasonMsg = "It's the best move found by looking 8 moves ahead.";
+		}
+
+		let embed = new MessageEmbed()
+		.setColor("f1c40f")
+		.setTitle((type === MoveType.POP)? `💡 Pop your square out of column ${pos+1}` : `💡 Play in column ${pos+1}`)
+		.setDescription(reasonMsg)
+		.setFooter(`${left} hint(s) left in this game.`);
+
+		return member.send(embed);
+	}
+
+	/**
+	 * Show the statistics of a member.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {GuildMember} member - the member.
+	 * @param {Object} stats - the statistics of the member ({rating, wins, losses, draws, bots}).
+	 */
+	showStats(channel, member, stats) {
+		let embed = new MessageEmbed()
+		.setColor(3447003)
+		.setAuthor(member.displayName, member.user.displayAvatarURL())
+		.setTitle("📊 Statistics");
+
+		embed.addField("⚔️ Against the members",
+			`**${Math.round(stats.rating)}** Elo - ${stats.wins} W / ${stats.losses} L / ${stats.draws} D`,
+			false);
+
+		const bots = Object.keys(stats.bots).map(type => {
+			const bot = stats.bots[type];
+			return `${this.getBotName(parseInt(type))}: **${Math.round(bot.rating)}** Elo - ${bot.wins} W / ${bot.losses} L / ${bot.draws} D`;
+		});
+		embed.addField("🤖 Against the bots", (bots.length > 0)? bots.join("\n") : "No game yet.", false);
+		embed.addField("💡 Hints used", `${stats.hints}`, false);
+
+		channel.send(embed).catch(err => {});
+	}
+
+	/**
+	 * Show the best members of the guild.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Array<Object>} members - the members sorted ({id, rating or points, wins, losses, draws}).
+	 * @param {boolean} weekly - true if it's the ladder of the week (by points).
+	 */
+	showLeaderboard(channel, members, weekly) {
+		let embed = new MessageEmbed()
+		.setColor("f1c40f")
+		.setTitle(weekly? "🏆 Leaderboard of the week" : "🏆 Leaderboard");
+
+		const medals = ["🥇", "🥈", "🥉"];
+		const lines = members.map((member, i) => {
+			const score = weekly? `**${member.points}** pts` : `**${Math.round(member.rating)}** Elo`;
+			return `${medals[i] || `**${i+1}.**`} <@${member.id}> - ${score} (${member.wins} W / ${member.losses} L / ${member.draws} D)`;
+		});
+		embed.setDescription((lines.length > 0)? lines.join("\n") : "No game has been played yet.");
+
+		channel.send(embed).catch(err => {});
+	}
+
+	/**
+	 * Get the name of a type of bot.
+	 * 
+	 * @param {PlayerType} type - the type of bot.
+	 * @returns {string} - the name.
+	 */
+	getBotName(type) {
+		const bot = registry.get(type);
+		return (bot === undefined)? "Bot" : bot.title;
+	}
+
+	/**
+	 * Show the settings of a guild.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @param {Array<string>} keys - the names of the settings shown.
+	 */
+	showConfig(channel, keys) {
+		const guild = channel.guild.id;
+		const lines = keys.map(key => `**${key}**: ${this._formatSetting(key, settings.get(guild, key))}${settings.isSet(guild, key)? "" : " _(default)_"}`);
+
+		let embed = new MessageEmbed()
+		.setColor(3447003)
+		.setTitle("⚙️ Settings")
+		.setDescription(lines.join("\n"))
+		.setFooter(`${this._getPrefix(channel)}config set setting value • ${this._getPrefix(channel)}config reset setting`);
+
+		channel.send(embed).catch(err => {});
+	}
+
+	/**
+	 * Write the value of a setting.
+	 * 
+	 * @param {string} key - the name of the setting.
+	 * @param {Object} value - the value.
+	 * @returns {string} - the value written.
+	 */
+	_formatSetting(key, value) {
+		switch (key) {
+			case "prefix":
+				return `\`${value}\``;
+			case "turnTimeout":
+				return `${value} seconds`;
+			case "channels":
+				return (value.length === 0)? "every channel" : value.map(id => `<#${id}>`).join(", ");
+			case "emojis":
+				return `${value.blue} ${value.red}`;
+			case "forfeitAfter":
+				return `${value} timeouts in a row`;
+			case "timeoutPolicy":
+			case "difficulty":
+			case "renderer":
+				return value;
+			default:
+				return value? "on" : "off";
+		}
+	}
+
+	/**
+	 * Get the prefix of the commands in a channel.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @returns {string} - the prefix of its guild.
+	 */
+	_getPrefix(channel) {
+		return settings.get(channel.guild.id, "prefix");
+	}
+
+	/**
+	 * Get the emojis of the squares in a channel.
+	 * 
+	 * @param {Channel} channel - the channel.
+	 * @returns {Object} - the emojis of its guild ({blue, red}).
+	 */
+	_getEmojis(channel) {
+		return settings.get(channel.guild.id, "emojis");
 	}
 
 	/**
@@ -210,7 +1085,7 @@ class View {
 		.setTitle("ℹ Information")
 		.setDescription(info);
 
-		channel.send(embed);
+		channel.send(embed).catch(err => {});
 	}
 
 	/**
@@ -225,7 +1100,7 @@ class View {
 		.setTitle("🚫 Error")
 		.setDescription(error);
 
-		channel.send(embed);
+		channel.send(embed).catch(err => {});
 	}
 
 	/**
@@ -235,23 +1110,46 @@ class View {
 	 * @param {User} bot - the bot user.
 	 */
 	showHelp(channel, bot) {
+		const prefix = this._getPrefix(channel);
 		let embed = new MessageEmbed()
 		.setColor("e67e22")
 		.setAuthor(bot.username, bot.displayAvatarURL())
 		.setTitle("💡 🇭🇪🇱🇵")
 		.setDescription("A Connect 4 game on discord !");
 
-		embed.addField("❗ Commands", 
-			`**${config.get("prefix")}connect4**, **${config.get("prefix")}c4**, **${config.get("prefix")}puissance4** - to start a game against _a bot_.
-			**${config.get("prefix")}connect4** __@member__ - to play against _another member of the server_.
-			**${config.get("prefix")}stop** - to stop a game.
-			**${config.get("prefix")}help**, **${config.get("prefix")}h** - to show this message.`,
-			false);
+		// A field of an embed has 1024 characters at most, the commands are split in several fields.
+		embed.addField("❗ Commands", [
+			`**${prefix}connect4**, **${prefix}c4**, **${prefix}puissance4** - to start a game against _a bot_.`,
+			`**${prefix}connect4** __@member__ - to play against _another member of the server_.`,
+			`**${prefix}connect4** __@member__ __@member__ __@member__ - to play a game of _3 or 4 players_ (on a bigger board, __--bot normal__ adds a bot), everyone must accept.`,
+			`**${prefix}connect4** __--size 8x7__ __--connect 5__ - to play on a board of _8 columns and 7 rows_ where _5 squares_ must be connected (4 to 9 columns and rows), __--bo 5__ to play a series of _5 games_, __--takebacks 3__ to allow _3 takebacks_ to each player, __--bot normal__ to play directly against _this bot_.`,
+			`**${prefix}connect4** __botmatch__ __easy__ __cheat__ - to watch _two bots_ play against each other.`,
+			`**${prefix}connect4** __--popout__ - to play _PopOut_: you can also pop one of your squares out of the bottom of a column (press ⏏️ then the column, or write __p4__), the same position three times is a draw.`
+		].join("\n"), false);
+		embed.addField("🎮 In a game", [
+			`**${prefix}play** __4__, **${prefix}p** __4__ or just __4__ - to play in the column 4 (as the reactions).`,
+			`**${prefix}stop** - to stop a game (without result).`,
+			`**${prefix}resign** - to resign (you lose the game).`,
+			`**${prefix}draw** - to offer a draw to your opponent.`,
+			`**${prefix}hint** - to receive the best move in private (3 by game by default, __--hints 5__ to change it).`,
+			`**${prefix}hints** __on/off__ - to allow the hints in the games between members (Manage Server permission).`,
+			`**${prefix}undo** - to take back your last move (against a member, your opponent must accept).`
+		].join("\n"), false);
+		embed.addField("📜 Other commands", [
+			`**${prefix}analyze** __moves__ - to find the blunders and the missed wins of a game (the last game of the channel by default).`,
+			`**${prefix}replay** __moves__ - to replay a game written in column notation (e.g. _4453377_, with the same options as the game).`,
+			`**${prefix}tournament** __create__ __elimination/roundrobin__ __--players 8__ - to create a tournament in the channel, then __join__, __start__ (the empty slots are filled with bots) or __cancel__ it.`,
+			`**${prefix}stats** __@member__ - to show the statistics of a member (yours by default).`,
+			`**${prefix}leaderboard**, **${prefix}lb** __week__ - to show the best members of the server (of the week).`,
+			`**${prefix}config** __get/set/reset__ __setting__ __value__ - to change the settings of the server (Manage Server permission).`,
+			`**${prefix}help**, **${prefix}h** - to show this message.`,
+			`The commands also exist as slash commands (**/connect4**, **/play**...).`
+		].join("\n"), false);
 		embed.addField("⚠️ Warnings",
-			"You only have one minute to play, otherwise it will play a random position for you and skip your turn.",
+			`You only have ${settings.get(channel.guild.id, "turnTimeout")} seconds to play, ${this._formatTimeoutPolicy({policy: settings.get(channel.guild.id, "timeoutPolicy"), forfeitAfter: settings.get(channel.guild.id, "forfeitAfter")})} (__--timeout random/skip/pause__ or __--forfeit 3__ to change it for a game).`,
 			false);
 
-		channel.send(embed);
+		channel.send(embed).catch(err => {});
 	}
 }
 
@@ -0,0 +1,150 @@
+const { Worker } = require("worker_threads");
+const path = require("path");
+const config = require("config");
+
+/**
+ * A pool of worker threads where the bots search their moves,
+ * so a deep search doesn't block the other rooms.
+ */
+class BotPool {
+
+	/**
+	 * Initialize the pool.
+	 * 
+	 * @param {number} size - the maximum number of workers.
+	 */
+	constructor(size) {
+		this._size = size;
+		this._workers = [];
+		this._queue = [];
+		this._nextId = 0;
+	}
+
+	/**
+	 * Search the move of a bot.
+	 * 
+	 * @param {number} room - the id of the room.
+	 * @param {PlayerType} type - the type of the bot.
+	 * @param {Object} board - the data of the board (see Board.toJSON).
+	 * @param {SquareType} me - the type of square of the bot.
+	 * @param {Array<SquareType>} opponents - the types of square of the opponents, in the order of their turns.
+	 * @param {string} moves - the moves of the game in column notation, to read the opening book (null if they can't be replayed).
+	 * @returns {Promise<number>} - the position to play (rejected if cancelled).
+	 */
+	chooseMove(room, type, board, me, opponents, moves = null) {
+		return new Promise((resolve, reject) => {
+			this._queue.push({id: this._nextId++, room, data: {type, board, me, opponents, moves}, resolve, reject});
+			this._next();
+		});
+	}
+
+	/**
+	 * Analyze a game.
+	 * 
+	 * @param {string} moves - the moves of the game in column notation.
+	 * @param {Object} options - the options of the board ({rows, cols, connect}).
+	 * @returns {Promise<Object>} - the analysis (see Analysis.toJSON).
+	 */
+	analyze(moves, options) {
+		return new Promise((resolve, reject) => {
+			this._queue.push({id: this._nextId++, room: null, data: {analyze: {moves, options}}, resolve, reject});
+			this._next();
+		});
+	}
+
+	/**
+	 * Cancel the searches of a room.
+	 * 
+	 * @param {number} room - the id of the room.
+	 */
+	cancel(room) {
+		this._queue = this._queue.filter(job => {
+			if (job.room === room)
+				job.reject(new Error("The search has been cancelled."));
+			return job.room !== room;
+		});
+
+		// A search can't be interrupted, so its worker is replaced.
+		this._workers.filter(slot => slot.job !== null && slot.job.room === room).forEach(slot => {
+			slot.job.reject(new Error("The search has been cancelled."));
+			this._remove(slot);
+		});
+
+		this._next();
+	}
+
+	/**
+	 * Forget the data kept by the workers for a room.
+	 * 
+	 * @param {number} room - the id of the room.
+	 */
+	release(room) {
+		this._workers.forEach(slot => slot.worker.postMessage({release: room}));
+	}
+
+	/**
+	 * Give the waiting jobs to the free workers.
+	 */
+	_next() {
+		while (this._queue.length > 0) {
+			let slot = this._workers.find(slot => slot.job === null);
+			if (slot === undefined) {
+				if (this._workers.length >= this._size)
+					return;
+				slot = this._spawn();
+			}
+
+			slot.job = this._queue.shift();
+			slot.worker.ref();
+			slot.worker.postMessage(Object.assign({id: slot.job.id, room: slot.job.room}, slot.job.data));
+		}
+	}
+
+	/**
+	 * Start a new worker.
+	 * 
+	 * @returns {Object} - the worker and its job ({worker, job}).
+	 */
+	_spawn() {
+		let slot = {worker: new Worker(path.join(__dirname, "botWorker.js")), job: null};
+
+		slot.worker.on("message", result => {
+			const job = slot.job;
+			slot.job = null;
+			slot.worker.unref();
+
+			if (job !== null && job.id === result.id) {
+				if (result.error !== undefined)
+					job.reject(new Error(result.error));
+				else
+					job.resolve(result.result);
+			}
+			this._next();
+		});
+
+		slot.worker.on("error", err => {
+			if (slot.job !== null)
+				slot.job.reject(err);
+			this._remove(slot);
+			this._next();
+		});
+
+		this._workers.push(slot);
+		return slot;
+	}
+
+	/**
+	 * Stop a worker and remove it from the pool.
+	 * 
+	 * @param {Object} slot - the worker and its job.
+	 */
+	_remove(slot) {
+		slot.job = null;
+		slot.worker.removeAllListeners();
+		slot.worker.on("error", () => {});
+		slot.worker.terminate();
+		this._workers.splice(this._workers.indexOf(slot), 1);
+	}
+}
+
+module.exports = new BotPool(config.get("workers"));
\ No newline at end of file
@@ -0,0 +1,57 @@
+const { parentPort } = require("worker_threads");
+const config = require("config");
+const Board = require("../model/Board");
+const Replay = require("../model/Replay");
+const Analysis = require("../model/Analysis");
+const registry = require("../bots/Registry");
+const OpeningBook = require("../bots/OpeningBook");
+
+// The opening book (null if none), read first by the bots at least as strong as the bot of book.from.
+const bookOptions = config.get("book");
+const book = bookOptions.enabled? OpeningBook.load(bookOptions.file) : null;
+const bookFrom = registry.find(bookOptions.from);
+
+/**
+ * Choose the move of a bot.
+ * 
+ * @param {Object} job - the job ({room, type, board, me, opponents, moves}).
+ * @returns {number} - the position to play.
+ */
+function chooseMove(job) {
+	const bot = registry.get(job.type);
+	if (bot === undefined)
+		throw new Error("Unknown type of bot.");
+
+	const board = Board.fromJSON(job.board);
+	if (book !== null && bookFrom !== undefined && job.moves !== null && bot.strength >= bookFrom.strength) {
+		const pos = book.getMove(job.moves, board, bookOptions.depth, bookOptions.random);
+		if (pos !== null)
+			return pos;
+	}
+	return bot.chooseMove(board, job.me, job.room, job.opponents);
+}
+
+/**
+ * Analyze a game.
+ * 
+ * @param {Object} job - the job ({moves, options}).
+ * @returns {Object} - the analysis (see Analysis.toJSON).
+ */
+function analyze(job) {
+	const replay = new Replay(job.moves, job.options);
+	return new Analysis(replay, config.get("solver").analysisBudget, config.get("solver").tableSize).toJSON();
+}
+
+parentPort.on("message", job => {
+	if (job.release !== undefined) {
+		registry.bots.forEach(bot => bot.release(job.release));
+		return;
+	}
+
+	try {
+		parentPort.postMessage({id: job.id, result: (job.analyze !== undefined)? analyze(job.analyze) : chooseMove(job)});
+	}
+	catch (err) {
+		parentPort.postMessage({id: job.id, error: err.message});
+	}
+});
\ No newline at end of file
@@ -0,0 +1,189 @@
+/*
+ * The arena: the bots play many games against each other, without Discord,
+ * and the results are shown as win/draw/loss tables with the time of their moves.
+ * Each random opening is played twice, each bot starting once.
+ * 
+ * Usage: npm run arena [-- [--bots easy,normal,cheat] [--games 100] [--opening 2] [--size 7x6] [--connect 4] [--popout]]
+ */
+
+const config = require("config");
+const options = require("../assets/controller/Options");
+const Board = require("../assets/model/Board");
+const BotMatch = require("../assets/model/BotMatch");
+const registry = require("../assets/bots/Registry");
+const SquareType = require("../assets/model/SquareType");
+
+const args = process.argv.slice(2);
+
+/**
+ * Get the value of a named argument.
+ * 
+ * @param {string} name - the name of the argument (e.g. "--games").
+ * @returns {string} - the value (undefined if none).
+ */
+function getArg(name) {
+	const i = args.indexOf(name);
+	return (i === -1)? undefined : args[i+1];
+}
+
+/**
+ * Get the value of a numeric argument.
+ * 
+ * @param {string} name - the name of the argument.
+ * @param {number} value - the default value.
+ * @throws {Error} - if the value is not a number.
+ * @returns {number} - the number.
+ */
+function getNumber(name, value) {
+	const arg = getArg(name);
+	if (arg === undefined)
+		return value;
+	if (!/^\d+$/.test(arg))
+		throw new Error(`The option \`${name}\` needs a number.`);
+	return parseInt(arg);
+}
+
+/**
+ * Create a random opening.
+ * 
+ * @param {Object} roomOptions - the options of the board ({rows, cols, connect}).
+ * @param {number} length - the number of moves.
+ * @returns {Array<number>} - the columns (from 0).
+ */
+function createOpening(roomOptions, length) {
+	const board = new Board(roomOptions.rows, roomOptions.cols, roomOptions.connect);
+	let moves = [];
+	for (let i=0; i < length; i++) {
+		const free = board.getFree();
+		const pos = free[Math.floor(Math.random() * free.length)];
+		board.setSquare(pos, board.getFirstFreeSquarePos(pos), (i%2 === 0)? SquareType.BLUE : SquareType.RED);
+		moves.push(pos);
+	}
+	return moves;
+}
+
+/**
+ * Play the games, as many at a time as workers.
+ * 
+ * @param {Array<Object>} games - the games ({pair: [i, j] the indexes of the bots, the first one starts, opening}).
+ * @param {Object} roomOptions - the options of the board.
+ * @param {Function} onResult - called with each game and its result (see BotMatch.play).
+ * @returns {Promise} - when every game is played.
+ */
+function playAll(games, roomOptions, onResult) {
+	let next = 0;
+	const run = () => {
+		if (next >= games.length)
+			return Promise.resolve();
+
+		const game = games[next++];
+		return new BotMatch(game.pair.map(i => bots[i].type), Object.assign({opening: game.opening}, roomOptions)).play()
+		.then(result => {
+			onResult(game, result);
+			return run();
+		});
+	};
+
+	return Promise.all([...Array(Math.min(config.get("workers"), games.length)).keys()].map(run));
+}
+
+/**
+ * Format the cells of a table.
+ * 
+ * @param {Array<Array<string>>} rows - the rows of the table (the first one is the header).
+ * @returns {string} - the table.
+ */
+function formatTable(rows) {
+	const widths = rows[0].map((cell, i) => Math.max(...rows.map(row => row[i].length)));
+	return rows.map(row => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd()).join("\n");
+}
+
+let bots, roomOptions, count, openingLength;
+try {
+	bots = (getArg("--bots") || "easy,normal,cheat").split(",").map(name => {
+		const bot = registry.find(name);
+		if (bot === undefined)
+			throw new Error(`Unknown bot \`${name}\`.`);
+		return bot;
+	});
+	if (bots.length < 2)
+		throw new Error("The arena needs two bots at least.");
+	roomOptions = options.parseRoom(args);
+	new Board(roomOptions.rows, roomOptions.cols, roomOptions.connect);
+	count = getNumber("--games", 100);
+	openingLength = getNumber("--opening", 2);
+}
+catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
+
+// Each opening is played with both colors.
+let games = [];
+for (let i=0; i < bots.length; i++) {
+	for (let j=i+1; j < bots.length; j++) {
+		for (let k=0; k < Math.ceil(count/2); k++) {
+			const opening = createOpening(roomOptions, openingLength);
+			games.push({pair: [i, j], opening}, {pair: [j, i], opening});
+		}
+	}
+}
+
+// results[i][j]: the wins, draws and losses of the bot i against the bot j.
+const results = bots.map(() => bots.map(() => ({wins: 0, draws: 0, losses: 0})));
+const times = bots.map(() => []);
+const board = new Board(roomOptions.rows, roomOptions.cols, roomOptions.connect, roomOptions.popout === true);
+const start = Date.now();
+let played = 0;
+
+console.log(`Arena: ${games.length} games on ${board.cols}x${board.rows} (connect ${board.connect}${board.popout? ", PopOut" : ""}), ${openingLength} random move(s) of opening.`);
+
+playAll(games, roomOptions, (game, result) => {
+	const [a, b] = game.pair;
+	if (result.winner === null) {
+		results[a][b].draws++;
+		results[b][a].draws++;
+	}
+	else {
+		const [winner, loser] = (result.winner === 0)? [a, b] : [b, a];
+		results[winner][loser].wins++;
+		results[loser][winner].losses++;
+	}
+	result.times.forEach((botTimes, i) => times[game.pair[i]].push(...botTimes));
+
+	if (process.stdout.isTTY)
+		process.stdout.write(`\r${++played}/${games.length} games`);
+})
+.then(() => {
+	if (process.stdout.isTTY)
+		process.stdout.write("\r");
+
+	console.log("\nWins/draws/losses of the row against the column:\n");
+	console.log(formatTable([[""].concat(bots.map(bot => bot.name))].concat(bots.map((bot, i) => [bot.name].concat(bots.map((other, j) => {
+		const result = results[i][j];
+		return (i === j)? "-" : `${result.wins}/${result.draws}/${result.losses}`;
+	}))))));
+
+	console.log("\nTotal and time of the moves:\n");
+	console.log(formatTable([["", "games", "wins", "draws", "losses", "score", "ms/move", "max ms"]].concat(bots.map((bot, i) => {
+		const total = results[i].reduce((total, result) => ({wins: total.wins + result.wins, draws: total.draws + result.draws, losses: total.losses + result.losses}));
+		const games = total.wins + total.draws + total.losses;
+		const moves = times[i];
+		return [
+			bot.name,
+			`${games}`,
+			`${total.wins}`,
+			`${total.draws}`,
+			`${total.losses}`,
+			`${(games === 0)? 0 : Math.round((total.wins + total.draws/2) / games * 100)}%`,
+			(moves.length === 0)? "-" : (moves.reduce((sum, time) => sum + time, 0) / moves.length).toFixed(1),
+			(moves.length === 0)? "-" : `${moves.reduce((max, time) => Math.max(max, time), 0)}`
+		];
+	}))));
+
+	console.log(`\n${games.length} games in ${((Date.now() - start) / 1000).toFixed(1)} s.`);
+})
+.catch(err => {
+	console.error(`The arena stopped: ${err.message}`);
+	process.exit(1);
+});
\ No newline at end of file
@@ -0,0 +1,93 @@
+/*
+ * The generator of the opening book: every game of the first moves is scored
+ * by the solver of the perfect bot (within a time budget by game), and the
+ * best replies are saved in the file of the book (see book in the config).
+ * The first moves can't be solved in the budget, so the scores are those of
+ * the deepest search finished in time (the heuristic evaluation, not the
+ * solved values): the book is a heuristic book.
+ * 
+ * Usage: npm run book [-- [--depth 5] [--budget 250] [--size 7x6] [--connect 4] [--file assets/bots/book.json]]
+ */
+
+const fs = require("fs");
+const config = require("config");
+const options = require("../assets/controller/Options");
+const Board = require("../assets/model/Board");
+const Search = require("../assets/model/Search");
+const Solver = require("../assets/model/Solver");
+const SquareType = require("../assets/model/SquareType");
+const OpeningBook = require("../assets/bots/OpeningBook");
+
+const args = process.argv.slice(2);
+
+/**
+ * Get the value of a named argument.
+ * 
+ * @param {string} name - the name of the argument (e.g. "--depth").
+ * @returns {string} - the value (undefined if none).
+ */
+function getArg(name) {
+	const i = args.indexOf(name);
+	return (i === -1)? undefined : args[i+1];
+}
+
+/**
+ * Get the value of a numeric argument.
+ * 
+ * @param {string} name - the name of the argument.
+ * @param {number} value - the default value.
+ * @throws {Error} - if the value is not a number.
+ * @returns {number} - the number.
+ */
+function getNumber(name, value) {
+	const arg = getArg(name);
+	if (arg === undefined)
+		return value;
+	if (!/^\d+$/.test(arg))
+		throw new Error(`The option \`${name}\` needs a number.`);
+	return parseInt(arg);
+}
+
+/**
+ * Add the replies to a game and to the games which follow it.
+ * 
+ * @param {Position} position - the position of the game (played and undone in place).
+ * @param {string} moves - the moves in column notation.
+ */
+function generate(position, moves) {
+	if (moves.length >= book.depth || position.isOver() || !book.isCanonical(moves))
+		return;
+
+	const [me, opponent] = (moves.length%2 === 0)? [SquareType.BLUE, SquareType.RED] : [SquareType.RED, SquareType.BLUE];
+	book.set(moves, solver.getScores(position, me, opponent));
+	if (process.stdout.isTTY)
+		process.stdout.write(`\r${book.size} games`);
+
+	for (const col of position.getFree()) {
+		position.play(col, me);
+		generate(position, moves + (col+1));
+		position.undo();
+	}
+}
+
+let board, book, solver, file;
+try {
+	const roomOptions = options.parseRoom(args);
+	board = new Board(roomOptions.rows, roomOptions.cols, roomOptions.connect);
+	book = new OpeningBook({rows: board.rows, cols: board.cols, connect: board.connect}, getNumber("--depth", 5));
+	const search = new Search(SquareType.BLUE, SquareType.RED);
+	solver = new Solver((position, type) => search.getScore(position, type), getNumber("--budget", 250), config.get("solver").tableSize);
+	file = getArg("--file") || config.get("book").file;
+}
+catch (err) {
+	console.error(err.message);
+	process.exit(1);
+}
+
+const start = Date.now();
+console.log(`Opening book of ${book.depth} moves on ${board.cols}x${board.rows} (connect ${board.connect}).`);
+generate(board.toPosition(), "");
+fs.writeFileSync(file, JSON.stringify(book));
+if (process.stdout.isTTY)
+	process.stdout.write("\r");
+console.log(`${book.size} games saved in ${file} in ${((Date.now() - start) / 1000).toFixed(1)} s.`);
\ No newline at end of file
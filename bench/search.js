@@ -0,0 +1,159 @@
+/*
+ * Benchmark of the bots' search: nodes per second of the minimax on the
+ * compact position against the previous search, which copied the Square board
+ * at every node and rescanned the whole grid to know if the game was over.
+ * 
+ * Usage: npm run bench [-- depth]
+ */
+
+const Board = require("../assets/model/Board");
+const Search = require("../assets/model/Search");
+const SquareType = require("../assets/model/SquareType");
+
+const depth = parseInt(process.argv[2]) || 6;
+
+// A position in the middle of a game (moves given by column, 0 to 6).
+const OPENING = [3, 3, 2, 4, 4, 2, 5, 1];
+
+/**
+ * Create a board with the opening played.
+ * 
+ * @returns {Board} - the board (blue plays next).
+ */
+function createBoard() {
+	const board = new Board();
+	OPENING.forEach((pos, i) => board.setSquare(pos, board.getFirstFreeSquarePos(pos), (i%2 === 0)? SquareType.BLUE : SquareType.RED));
+	return board;
+}
+
+/**
+ * Get the type of square who wins by scanning the whole grid.
+ * 
+ * @param {Board} board - a board.
+ * @returns {SquareType} - the square type (null if no winner).
+ */
+function legacyWinner(board) {
+	const n = board.connect;
+	const dirs = [[0, 1], [1, 0], [1, 1], [1, -1]];
+	for (let x=0; x < board.cols; x++) {
+		for (let y=0; y < board.rows; y++) {
+			const type = board.getSquare(x, y).type;
+			if (type === SquareType.EMPTY)
+				continue;
+			for (const [dx, dy] of dirs) {
+				let i = 1;
+				while (i < n && x+dx*i < board.cols && y+dy*i >= 0 && y+dy*i < board.rows && board.getSquare(x+dx*i, y+dy*i).type === type)
+					i++;
+				if (i === n)
+					return type;
+			}
+		}
+	}
+	return null;
+}
+
+/**
+ * Get the score of the board by reading every line of Square objects.
+ * 
+ * @param {Search} search - the search.
+ * @param {Board} board - a board.
+ * @returns {number} - the score of the board.
+ */
+function legacyScore(search, board) {
+	const n = board.connect;
+	const type = SquareType.BLUE;
+	let points = 0;
+	for (let y=0; y < board.rows; y++) {
+		if (board.getSquare(Math.floor(board.cols/2), y).type === type)
+			points += 4;
+	}
+	for (const [dx, dy] of [[0, 1], [1, 0], [1, 1], [1, -1]]) {
+		for (let x=0; x+dx*(n-1) < board.cols; x++) {
+			for (let y=0; y < board.rows; y++) {
+				if (y+dy*(n-1) < 0 || y+dy*(n-1) >= board.rows)
+					continue;
+				let nb_empty = 0, nb_square = 0;
+				for (let i=0; i < n; i++) {
+					const square = board.getSquare(x+dx*i, y+dy*i);
+					if (square.isEmpty())
+						nb_empty++;
+					else if (square.type === type)
+						nb_square++;
+				}
+				points += search._calcScore(nb_empty, nb_square, n);
+			}
+		}
+	}
+	return points;
+}
+
+/**
+ * The previous minimax (a copy of the board at each node).
+ * 
+ * @param {Search} search - the search.
+ * @param {Board} board - the board.
+ * @param {number} depth - the depth.
+ * @param {number} alpha - alpha.
+ * @param {number} beta - beta.
+ * @param {boolean} isMaximizer - is maximizer.
+ * @param {Object} stats - the number of nodes.
+ * @returns {number} - the evaluation.
+ */
+function legacyMinimax(search, board, depth, alpha, beta, isMaximizer, stats) {
+	stats.nodes++;
+	const winner = legacyWinner(board);
+	if (winner !== null || board.getFree().length === 0)
+		return (winner === null)? 0 : (winner === SquareType.BLUE)? 10000 : -1000;
+	if (depth === 0)
+		return legacyScore(search, board);
+
+	let best = isMaximizer? -Infinity : Infinity;
+	for (const pos of board.getFree()) {
+		const copy = board.copy();
+		copy.setSquare(pos, copy.getFirstFreeSquarePos(pos), isMaximizer? SquareType.BLUE : SquareType.RED);
+		const current = legacyMinimax(search, copy, depth-1, alpha, beta, !isMaximizer, stats);
+		if (isMaximizer) {
+			best = Math.max(best, current);
+			alpha = Math.max(alpha, current);
+		}
+		else {
+			best = Math.min(best, current);
+			beta = Math.min(beta, current);
+		}
+		if (beta <= alpha)
+			break;
+	}
+	return best;
+}
+
+/**
+ * Run a search and print its speed.
+ * 
+ * @param {string} name - the name of the search.
+ * @param {Function} search - the search (returns the number of nodes).
+ */
+function run(name, search) {
+	const start = process.hrtime.bigint();
+	const nodes = search();
+	const ms = Number(process.hrtime.bigint() - start) / 1e6;
+	console.log(`${name.padEnd(10)} depth ${depth}: ${String(nodes).padStart(9)} nodes in ${ms.toFixed(0).padStart(6)} ms (${Math.round(nodes / ms * 1000)} nodes/s)`);
+}
+
+run("Before", () => {
+	const search = new Search(SquareType.BLUE, SquareType.RED);
+	let stats = {nodes: 0};
+	legacyMinimax(search, createBoard(), depth, -Infinity, Infinity, true, stats);
+	return stats.nodes;
+});
+
+run("After", () => {
+	const search = new Search(SquareType.BLUE, SquareType.RED);
+	let nodes = 0;
+	const minimax = search.minimax;
+	search.minimax = function () {
+		nodes++;
+		return minimax.apply(this, arguments);
+	};
+	search.minimax(createBoard().toPosition(), depth, -Infinity, Infinity, true, true);
+	return nodes;
+});
\ No newline at end of file
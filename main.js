@@ -25,27 +25,109 @@ client.on("ready", () => {
 	console.log("------");
 
 	client.user.setPresence({activity: {name: `${config.get("prefix")}help, ${config.get("prefix")}h`}, status: "online"});
+
+	// Restore the games in progress before the restart.
+	controller.restore(client);
+	// The commands of the application (/connect4).
+	interactions.register(client);
+
+	// The games in progress for the spectators (web page, stream overlay).
+	const server = config.get("spectator");
+	if (server.enabled)
+		spectator.start(controller.game, client, server.port, server.host)
+		.then(() => console.log(`Spectators on http://${server.host}:${server.port}`))
+		.catch(err => console.error(`Couldn't start the spectator server: ${err.message}`));
 });
 
 const controller = require("./assets/controller/Controller");
+const interactions = require("./assets/controller/Interactions");
+const settings = require("./assets/model/Settings");
+const spectator = require("./assets/server/Spectator");
+
+// The commands of the application and the buttons (not handled by discord.js).
+client.ws.on("INTERACTION_CREATE", interaction => interactions.handle(client, interaction));
 
 client.on("message", message => {
 	if (message.author.bot) return;
-	if (!message.content.startsWith(config.get("prefix"))) return;
 	if (message.channel.type === "dm") return;
 
-	let args = message.content.substr(config.get("prefix").length, message.content.length);
+	// A move written as a number (with a p before it to pop in PopOut).
+	if (/^p?\d+$/i.test(message.content.trim())) {
+		controller.play(message, message.content.trim(), false);
+		return;
+	}
+
+	const prefix = settings.get(message.guild.id, "prefix");
+	if (!message.content.startsWith(prefix)) return;
+
+	let args = message.content.substr(prefix.length, message.content.length);
 	args = args.trim().split(" ");
 	let command = args.shift().toLowerCase();
 
+	// The settings can be changed in every channel, the other commands only in the allowed channels.
+	if (command === "config") {
+		controller.config(message.channel, message.member, args);
+		return;
+	}
+
+	const channels = settings.get(message.guild.id, "channels");
+	if (channels.length > 0 && !channels.includes(message.channel.id)) return;
+
 	if (command === "connect4" || command === "c4" || command === "puissance4") {
-		controller.newRoom(message.channel, message.member, message.mentions.members.first());
+		if ((args[0] || "").toLowerCase() === "botmatch")
+			controller.botMatch(message.channel, args.slice(1));
+		else
+			controller.newRoom(message.channel, message.member, message.mentions.members.array(), args);
+	}
+
+	if (command === "play" || command === "p") {
+		controller.play(message, args[0] || "", true);
 	}
 
 	if (command === "stop") {
 		controller.stop(message.channel);
 	}
 
+	if (command === "resign") {
+		controller.resign(message.channel, message.member);
+	}
+
+	if (command === "draw") {
+		controller.draw(message.channel, message.member);
+	}
+
+	if (command === "tournament" || command === "t") {
+		controller.tournament(message.channel, message.member, args);
+	}
+
+	if (command === "hint") {
+		controller.hint(message.channel, message.member);
+	}
+
+	if (command === "hints") {
+		controller.hints(message.channel, message.member, args);
+	}
+
+	if (command === "undo") {
+		controller.undo(message.channel, message.member);
+	}
+
+	if (command === "analyze" || command === "analyse") {
+		controller.analyze(message.channel, args);
+	}
+
+	if (command === "replay") {
+		controller.replay(message.channel, args);
+	}
+
+	if (command === "stats") {
+		controller.stats(message.channel, message.mentions.members.first() || message.member);
+	}
+
+	if (command === "leaderboard" || command === "lb") {
+		controller.leaderboard(message.channel, args);
+	}
+
 	if (command === "help" || command === "h") {
 		controller.help(message.channel, client.user);
 	}
@@ -0,0 +1,92 @@
+/*
+ * A terminal client: play a game against a bot, or between two members
+ * sharing the terminal, through the same session as the Discord bot.
+ * 
+ * Usage: npm run terminal [-- [--name NAME] [--vs NAME | --bot DIFFICULTY] [options of !connect4]]
+ * Write the number of a column to play (p and the number to pop in PopOut), resign or quit (read when it's your turn).
+ */
+
+const config = require("config");
+const options = require("./assets/controller/Options");
+const Session = require("./assets/controller/Session");
+const TerminalTransport = require("./assets/transport/TerminalTransport");
+const Room = require("./assets/model/Room");
+const Series = require("./assets/model/Series");
+const PlayerType = require("./assets/model/PlayerType");
+const registry = require("./assets/bots/Registry");
+
+const args = process.argv.slice(2);
+
+/**
+ * Get the value of a named argument.
+ * 
+ * @param {string} name - the name of the argument (e.g. "--vs").
+ * @returns {string} - the value (undefined if none).
+ */
+function getArg(name) {
+	const i = args.indexOf(name);
+	return (i === -1)? undefined : args[i+1];
+}
+
+let session = null;
+
+const transport = new TerminalTransport(process.stdin, process.stdout, {
+	resign: () => {
+		session.room.forfeit(session.room.currentPlayer, "resign");
+		session.next();
+	},
+	quit: () => {
+		if (session !== null)
+			session.stop();
+		transport.close();
+		process.exit(0);
+	}
+});
+
+/**
+ * Play a room, then the next game of the series.
+ * 
+ * @param {Room} room - the room.
+ * @param {Series} series - the series of the room (null if none).
+ */
+function play(room, series) {
+	session = new Session(transport, room, {series, turnTimeout: config.get("turnTimeout")});
+
+	session.on("over", () => {
+		if (series !== null)
+			series.record();
+		transport.announceResult(room, series, (room.skipped || room.moveCount === 0)? null : room.moveString);
+
+		if (series !== null && !series.over) {
+			play(series.newRoom(), series); return;
+		}
+		if (series !== null) {
+			const winner = series.getWinner();
+			transport.showInfo((winner === null)? "🤜🤛 The series ends in equality !" : `👑 ${(series.members[winner] === null)? "The bot" : series.members[winner].displayName} wins the series !`);
+		}
+		transport.close();
+	});
+	session.on("error", () => transport.close());
+	session.start();
+}
+
+try {
+	const roomOptions = options.parseRoom(args);
+	const creator = {id: "1", displayName: getArg("--name") || "Player"};
+	const opponent = (getArg("--vs") === undefined)? null : {id: "2", displayName: getArg("--vs")};
+	const bot = registry.find(roomOptions.difficulty || "normal");
+	if (opponent === null && bot === undefined)
+		throw new Error(`Unknown bot \`${roomOptions.difficulty}\`.`);
+	const type = (opponent !== null)? PlayerType.HUMAN : bot.type;
+
+	if (roomOptions.bestOf !== undefined) {
+		const series = new Series(creator, opponent, type, roomOptions.bestOf, roomOptions);
+		play(series.newRoom(), series);
+	}
+	else
+		play(new Room(creator, opponent, type, roomOptions), null);
+}
+catch (err) {
+	transport.showError(err.message);
+	transport.close();
+}
\ No newline at end of file